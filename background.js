@@ -1,31 +1,313 @@
 // Spam Guard - Background Script
 // Detects spam headers and uses ML classifier
 
-// Configurable spam headers to detect
-const SPAM_HEADERS = [
-  { header: "x-spam-status", value: "Yes" },
-  { header: "x-spam-flag", value: "YES" },
-  { header: "x-hines-imss-spam", value: "SPAM" }
+// Default spam header rules, editable in the options page. "contains"
+// and "regex" rules assign a fixed probability when they match; "numeric"
+// rules extract a score and map low..high onto a probability of 0..1, with a
+// score at or below low giving no signal. The default ranges put clean scores
+// in the bottom third, so a header argues for the message without vetoing the
+// classifier. extract is "number" (first number in the value), "stars" (count of
+// asterisks, as in X-Spam-Level) or "scl" (Microsoft's SCL:n field).
+const DEFAULT_HEADER_RULES = [
+  { header: "x-spam-status", match: "contains", value: "Yes", probability: 1.0 },
+  { header: "x-spam-flag", match: "contains", value: "YES", probability: 1.0 },
+  { header: "x-hines-imss-spam", match: "contains", value: "SPAM", probability: 1.0 },
+  { header: "x-spam-score", match: "numeric", extract: "number", low: -5, high: 10 },
+  { header: "x-spam-level", match: "numeric", extract: "stars", low: -5, high: 10 },
+  { header: "x-forefront-antispam-report", match: "numeric", extract: "scl", low: -1, high: 9 }
 ];
 
 // ============================================
-// TF-IDF Naive Bayes Classifier
+// Probability Calibration
+// ============================================
+
+// Fit Platt scaling p = sigmoid(a * margin + b) by Newton's method on the
+// log loss, using Platt's smoothed targets to avoid overconfident fits.
+function fitPlattScaling(margins, labels) {
+  const positives = labels.filter(y => y === 1).length;
+  const negatives = labels.length - positives;
+  const hiTarget = (positives + 1) / (positives + 2);
+  const loTarget = 1 / (negatives + 2);
+  const targets = labels.map(y => y === 1 ? hiTarget : loTarget);
+
+  const loss = (a, b) => {
+    let total = 0;
+    for (let i = 0; i < margins.length; i++) {
+      const z = a * margins[i] + b;
+      // log(1 + exp(z)) - t * z, computed stably
+      total += (z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z))) - targets[i] * z;
+    }
+    return total;
+  };
+
+  let a = 1;
+  let b = Math.log((positives + 1) / (negatives + 1));
+  let current = loss(a, b);
+
+  for (let iter = 0; iter < 100; iter++) {
+    let ga = 0, gb = 0, haa = 1e-9, hab = 0, hbb = 1e-9;
+    for (let i = 0; i < margins.length; i++) {
+      const p = 1 / (1 + Math.exp(-(a * margins[i] + b)));
+      const d = p - targets[i];
+      const w = p * (1 - p);
+      ga += d * margins[i];
+      gb += d;
+      haa += w * margins[i] * margins[i];
+      hab += w * margins[i];
+      hbb += w;
+    }
+
+    const det = haa * hbb - hab * hab;
+    if ((Math.abs(ga) < 1e-6 && Math.abs(gb) < 1e-6) || det <= 0) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+
+    // Backtracking line search
+    let step = 1;
+    while (step > 1e-6) {
+      const next = loss(a - step * da, b - step * db);
+      if (next < current) {
+        a -= step * da;
+        b -= step * db;
+        current = next;
+        break;
+      }
+      step /= 2;
+    }
+    if (step <= 1e-6) break;
+  }
+
+  return { method: "platt", a, b };
+}
+
+// Fit isotonic regression with pool-adjacent-violators. The result is a list
+// of [margin, probability] points, interpolated linearly between them.
+function fitIsotonicRegression(margins, labels) {
+  const pairs = margins.map((x, i) => [x, labels[i]]).sort((p, q) => p[0] - q[0]);
+  const blocks = [];
+
+  for (const [x, y] of pairs) {
+    blocks.push({ sumX: x, sumY: y, count: 1 });
+    // Merge backwards while the sequence is decreasing
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.count < last.sumY / last.count) break;
+      prev.sumX += last.sumX;
+      prev.sumY += last.sumY;
+      prev.count += last.count;
+      blocks.pop();
+    }
+  }
+
+  return {
+    method: "isotonic",
+    points: blocks.map(b => [b.sumX / b.count, b.sumY / b.count])
+  };
+}
+
+function applyIsotonic(points, margin) {
+  let p;
+  if (margin <= points[0][0]) {
+    p = points[0][1];
+  } else if (margin >= points[points.length - 1][0]) {
+    p = points[points.length - 1][1];
+  } else {
+    let i = 1;
+    while (points[i][0] < margin) i++;
+    const [x0, y0] = points[i - 1];
+    const [x1, y1] = points[i];
+    p = x1 === x0 ? y1 : y0 + (y1 - y0) * (margin - x0) / (x1 - x0);
+  }
+  // A step function fitted on a few hundred samples should not claim certainty
+  return Math.min(Math.max(p, 0.001), 0.999);
+}
+
 // ============================================
+// Classifier Interface
+// ============================================
+
+// Tokenizers by name. Models store the one they were trained with, since
+// switching tokenizers changes every feature. "whitespace" is the original
+// tokenizer; the cjk_* tokenizers split text into script runs and emit
+// character n-grams for Chinese, Japanese and Korean.
+const TOKENIZERS = {
+  whitespace: { ngram: 0 },
+  cjk_bigram: { ngram: 2 },
+  cjk_trigram: { ngram: 3 }
+};
+
+const DEFAULT_TOKENIZER = "cjk_bigram";
+
+// Han (with Japanese kana) runs, Hangul runs, and runs of any other letters
+const CJK_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30fc]/u;
+const HANGUL_RUN = /\p{Script=Hangul}/u;
+const SCRIPT_RUNS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\u30fc]+|\p{Script=Hangul}+|(?:(?![\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}])[\p{L}\p{M}\p{N}_@.-])+/gu;
+
+// De-obfuscation applied before tokenizing. Zero-width and bidi control
+// characters are stripped; inside words that mix Latin letters with
+// lookalikes from other scripts ("Ꮲaypal", "pаypal" with a Cyrillic а),
+// the lookalikes are folded to Latin; and digits standing in for letters
+// ("v1agra") are folded back.
+const INVISIBLE_CHARS = /[\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]/g;
+const INVISIBLE_IN_WORD = /[a-z][\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u2069\ufeff]+[a-z]/i;
+
+// Cyrillic, Greek and Cherokee letters that render like Latin ones
+const CONFUSABLES = Object.fromEntries(
+  ("аa вb еe ёe кk мm нh оo рp сc тt уy хx іi їi јj ѕs ԁd ԛq ԝw һh ӏl " +
+   "αa βb εe ηn ιi κk νv οo ρp τt υu χx ωw ζz " +
+   "Ꭺa Ᏼb Ꮯc Ꭰd Ꭼe Ꮐg Ꮋh Ꭵi Ꭻj Ꮶk Ꮮl Ꮇm Ꮲp Ꮪs Ꭲt Ꮩv Ꮃw Ꮓz")
+    .split(" ")
+    .map(pair => [pair[0].toLowerCase(), pair[1]])
+);
+const CONFUSABLE_CHARS = new RegExp(`[${Object.keys(CONFUSABLES).join("")}]`, "g");
+
+const LEET = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "$": "s" };
+
+// A word spelled with a single digit or "$" in place of a letter, e.g. fr3e
+// or ca$h, with any punctuation around it kept apart
+const LEET_WORD = /^([^a-z0-9$]*)([a-z]+[013457$][a-z]+)([^a-z0-9$]*)$/;
+
+// Technical names that look like leet but aren't, e.g. mp3s, ps4games, ipv4address
+const LEET_LOOKALIKES = /mp[34]|ps[345]|ipv4/;
+
+// Returns the cleaned, lower-cased text and the kinds of obfuscation found
+function deobfuscate(text) {
+  const kinds = new Set();
+  text = text.normalize("NFKC").toLowerCase();
+
+  if (INVISIBLE_IN_WORD.test(text)) kinds.add("invisible");
+  text = text.replace(INVISIBLE_CHARS, "");
+
+  text = text.replace(/\S+/g, word => {
+    if (!/[a-z]/.test(word)) return word;
+
+    const folded = word.replace(CONFUSABLE_CHARS, ch => CONFUSABLES[ch]);
+    if (folded !== word) {
+      kinds.add("homoglyph");
+      word = folded;
+    }
+
+    // Leave addresses, hosts, paths, hex strings and identifiers with
+    // several digits alone
+    const leet = !/[.@\/:]/.test(word) && word.match(LEET_WORD);
+    if (leet && !/^[0-9a-f]+$/.test(leet[2]) && !LEET_LOOKALIKES.test(leet[2])) {
+      kinds.add("leet");
+      word = leet[1] + leet[2].replace(/[013457$]/, ch => LEET[ch]) + leet[3];
+    }
+    return word;
+  });
 
-class TfIdfNaiveBayes {
+  return { text, kinds };
+}
+
+// Feature families by prefix, as produced by extractFeatures. Tokens
+// without a known prefix come from the subject or body text.
+const FEATURE_FAMILIES = ["name", "domain", "tld", "subj", "url", "auth", "rcv", "att", "html", "obf"];
+
+function featureFamily(feature) {
+  const prefix = feature.slice(0, feature.indexOf("_"));
+  return FEATURE_FAMILIES.includes(prefix) ? prefix : "body";
+}
+
+// Link shortening services, which hide the real destination
+const URL_SHORTENERS = new Set([
+  "bit.ly", "bit.do", "buff.ly", "cutt.ly", "goo.gl", "is.gd", "ow.ly", "rb.gy",
+  "rebrand.ly", "s.id", "shorturl.at", "t.co", "t.ly", "tiny.cc", "tinyurl.com"
+]);
+
+const IP_HOST = /^(\d{1,3}(\.\d{1,3}){3}|\[[0-9a-f:.]+\])$/i;
+
+// A host written out as anchor text, e.g. "www.paypal.com" or "https://paypal.com/login"
+const ANCHOR_HOST = /^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[\/:?#]|$)/i;
+
+// True when one host is the other or a subdomain of it
+function sameSite(a, b) {
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+// Bucket a count so the classifier sees a handful of stable features
+function countBucket(n) {
+  if (n <= 1) return String(n);
+  if (n <= 3) return "2-3";
+  if (n <= 7) return "4-7";
+  return "8+";
+}
+
+// Attachment types that run code when opened
+const DANGEROUS_EXTENSIONS = new Set([
+  "bat", "cmd", "com", "cpl", "exe", "hta", "img", "iso", "jar", "js", "jse",
+  "lnk", "msi", "pif", "ps1", "reg", "scr", "vbe", "vbs", "wsf"
+]);
+
+// Content types expected for common extensions; others aren't checked
+const EXTENSION_TYPES = {
+  pdf: ["application/pdf"],
+  doc: ["application/msword"],
+  docx: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+  xls: ["application/vnd.ms-excel"],
+  xlsx: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+  zip: ["application/zip", "application/x-zip-compressed"],
+  jpg: ["image/jpeg"],
+  jpeg: ["image/jpeg"],
+  png: ["image/png"],
+  gif: ["image/gif"],
+  txt: ["text/plain"],
+  htm: ["text/html"],
+  html: ["text/html"]
+};
+
+function fileExtensions(name) {
+  return (name || "").toLowerCase().split(".").slice(1).filter(ext => /^[a-z0-9]{1,5}$/.test(ext));
+}
+
+// invoice.pdf.exe: a familiar extension in front of the real one
+function hasDoubleExtension(name) {
+  const exts = fileExtensions(name);
+  return exts.length >= 2 && exts[exts.length - 2] in EXTENSION_TYPES;
+}
+
+// A named type the extension doesn't allow; generic binary types pass
+function hasTypeMismatch(attachment) {
+  const ext = fileExtensions(attachment.name).pop();
+  const type = (attachment.contentType || "").toLowerCase().split(";")[0].trim();
+  if (!EXTENSION_TYPES[ext] || !type || type === "application/octet-stream") return false;
+  return !EXTENSION_TYPES[ext].includes(type);
+}
+
+function isDangerousAttachment(attachment) {
+  return DANGEROUS_EXTENSIONS.has(fileExtensions(attachment.name).pop());
+}
+
+// Common base for classifier backends. Subclasses implement train,
+// decisionFunction, explain, serialize and deserialize.
+class SpamClassifier {
   constructor() {
-    this.vocabulary = new Map();
-    this.documentFrequency = new Map();
+    this.backend = "";
+    this.tokenizer = DEFAULT_TOKENIZER;
+    this.calibration = null;  // Fitted by fitCalibration, saved with the model
+    // Method asked for at training time; calibration stays null when there
+    // was too little data to fit it
+    this.calibrationRequested = "none";
     this.totalDocuments = 0;
     this.classDocCount = { spam: 0, ham: 0 };
-    this.classWordCounts = { spam: new Map(), ham: new Map() };
-    this.classTotalWords = { spam: 0, ham: 0 };
-    this.alpha = 1.0;
-    this.minDf = 2;  // Minimum document frequency
     this.isTrained = false;
   }
 
   tokenize(text) {
+    if (!text) return [];
+    return this.tokenizeClean(deobfuscate(text).text);
+  }
+
+  // Tokenize text that has already been through deobfuscate
+  tokenizeClean(text) {
+    if (!text) return [];
+    const ngram = TOKENIZERS[this.tokenizer]?.ngram;
+    if (!ngram) return this.tokenizeWhitespace(text);
+    return this.tokenizeScripts(text, ngram);
+  }
+
+  tokenizeWhitespace(text) {
     if (!text) return [];
     text = text.toLowerCase();
     // Remove HTML tags
@@ -39,13 +321,51 @@ class TfIdfNaiveBayes {
     return text.split(/\s+/).filter(w => w.length > 1);
   }
 
+  // Split text into script runs: words for space-separated scripts,
+  // character n-grams for CJK, kana and hangul
+  tokenizeScripts(text, n) {
+    if (!text) return [];
+    text = text.toLowerCase();
+    // Remove HTML tags
+    text = text.replace(/<[^>]*>/g, ' ');
+    // Remove URLs but keep domain as feature
+    text = text.replace(/https?:\/\/([^\s\/]+)[^\s]*/g, ' $1 ');
+    // Keep email addresses as features (extract domain)
+    text = text.replace(/[\w.-]+@([\w.-]+)/g, ' $1 ');
+
+    const tokens = [];
+    for (const [run] of text.matchAll(SCRIPT_RUNS)) {
+      if (CJK_RUN.test(run) || HANGUL_RUN.test(run)) {
+        const chars = Array.from(run);
+        if (chars.length <= n) {
+          tokens.push(run);
+          continue;
+        }
+        for (let i = 0; i + n <= chars.length; i++) {
+          tokens.push(chars.slice(i, i + n).join(''));
+        }
+      } else if (run.length > 1) {
+        tokens.push(run);
+      }
+    }
+    return tokens;
+  }
+
   // Extract features from email: sender, email, subject, body
   extractFeatures(emailData) {
     const features = [];
 
+    // Each text is deobfuscated once, for its tokens and its obfuscation kinds
+    const obfuscation = [];
+    const clean = (text) => {
+      const result = deobfuscate(text);
+      obfuscation.push(...result.kinds);
+      return result.text;
+    };
+
     // Sender name features (with prefix)
     if (emailData.senderName) {
-      const nameTokens = this.tokenize(emailData.senderName);
+      const nameTokens = this.tokenizeClean(clean(emailData.senderName));
       features.push(...nameTokens.map(t => `name_${t}`));
     }
 
@@ -62,20 +382,157 @@ class TfIdfNaiveBayes {
 
     // Subject features (with prefix for important words)
     if (emailData.subject) {
-      const subjectTokens = this.tokenize(emailData.subject);
+      const subjectTokens = this.tokenizeClean(clean(emailData.subject));
       features.push(...subjectTokens.map(t => `subj_${t}`));
       features.push(...subjectTokens);  // Also add without prefix
     }
 
     // Body features
     if (emailData.body) {
-      const bodyTokens = this.tokenize(emailData.body);
+      const bodyTokens = this.tokenizeClean(clean(emailData.body));
       features.push(...bodyTokens);
     }
 
+    // Link features
+    if (emailData.links && emailData.links.length > 0) {
+      features.push(...this.linkFeatures(emailData.links));
+    }
+
+    // Sender authentication verdicts, e.g. auth_spf_pass, auth_dmarc_fail
+    if (emailData.auth) {
+      for (const method of AUTH_METHODS) {
+        features.push(`auth_${method}_${emailData.auth[method] || "none"}`);
+      }
+    }
+
+    // Routing anomalies from the Received chain
+    if (emailData.received) {
+      features.push(...this.receivedFeatures(emailData.received));
+    }
+
+    // Attachment features
+    if (emailData.attachments && emailData.attachments.length > 0) {
+      features.push(...this.attachmentFeatures(emailData.attachments));
+    }
+
+    // HTML structure features
+    if (emailData.html) {
+      features.push(...this.htmlFeatures(emailData.html));
+    }
+
+    // Obfuscation is a signal in itself, e.g. obf_homoglyph
+    features.push(...obfuscation.map(kind => `obf_${kind}`));
+
+    return features;
+  }
+
+  // Phishing signals from the message's links, each emitted at most once:
+  // IP-literal, shortener and punycode hosts, credentials before the host,
+  // anchor text naming a different host than the href, and the number of
+  // distinct link domains.
+  linkFeatures(links) {
+    const features = new Set();
+    const hosts = new Set();
+
+    for (const link of links) {
+      let url;
+      try {
+        url = new URL(link.href);
+      } catch (e) {
+        continue;
+      }
+      if (url.protocol !== "http:" && url.protocol !== "https:") continue;
+
+      const host = url.hostname.toLowerCase().replace(/^www\./, "");
+      hosts.add(host);
+
+      if (IP_HOST.test(host)) features.add("url_ip");
+      if (URL_SHORTENERS.has(host)) features.add("url_shortener");
+      if (host.split(".").some(label => label.startsWith("xn--"))) features.add("url_punycode");
+      if (url.username || url.password) features.add("url_at");
+
+      const anchor = (link.text || "").trim().match(ANCHOR_HOST);
+      if (anchor && !sameSite(anchor[1].toLowerCase().replace(/^www\./, ""), host)) {
+        features.add("url_mismatch");
+      }
+    }
+
+    if (hosts.size > 0) features.add(`url_domains_${countBucket(hosts.size)}`);
+    return Array.from(features);
+  }
+
+  // Count, content types and extensions of the attachments, plus flags for
+  // double extensions, types that contradict the file name, executables
+  // and encrypted archives
+  attachmentFeatures(attachments) {
+    const features = new Set([`att_count_${countBucket(attachments.length)}`]);
+
+    for (const attachment of attachments) {
+      const type = (attachment.contentType || "").toLowerCase().split(";")[0].trim();
+      if (type) features.add(`att_type_${type}`);
+      const ext = fileExtensions(attachment.name).pop();
+      if (ext) features.add(`att_ext_${ext}`);
+
+      if (hasDoubleExtension(attachment.name)) features.add("att_double_ext");
+      if (hasTypeMismatch(attachment)) features.add("att_type_mismatch");
+      if (isDangerousAttachment(attachment)) features.add("att_dangerous");
+      if (attachment.encrypted) features.add("att_encrypted_zip");
+    }
+
+    return Array.from(features);
+  }
+
+  // Layout signals from analyzeHtml: how much of the markup is visible
+  // text, how image-heavy the body is, hidden text, forms and tracking pixels
+  htmlFeatures(html) {
+    const features = [];
+    const ratio = html.markupLength > 0 ? html.textLength / html.markupLength : 0;
+    features.push(`html_text_ratio_${ratio < 0.1 ? "low" : ratio < 0.3 ? "mid" : "high"}`);
+
+    features.push(`html_images_${countBucket(html.images)}`);
+    if (html.images > 0 && html.textLength < 50) {
+      features.push("html_image_only");
+    } else if (html.images > 0 && html.textLength / html.images < 100) {
+      features.push("html_image_heavy");
+    }
+
+    if (html.hiddenElements > 0) features.push("html_hidden_text");
+    if (html.forms > 0) features.push("html_form");
+    if (html.trackingPixels > 0) features.push("html_tracking_pixel");
+    return features;
+  }
+
+  // Hop count plus one feature per anomaly found by analyzeReceivedChain
+  receivedFeatures(received) {
+    const features = [`rcv_hops_${countBucket(received.hops)}`];
+    const skew = received.dateSkewHours;
+    if (skew >= 24 * 7) features.push("rcv_skew_weeks");
+    else if (skew >= 24) features.push("rcv_skew_days");
+    else if (skew >= 1) features.push("rcv_skew_hours");
+    if (received.privateRelays > 0) features.push("rcv_private_relay");
+    if (received.heloMismatches > 0) features.push("rcv_helo_mismatch");
+    if (received.outOfOrder) features.push("rcv_out_of_order");
     return features;
   }
 
+  // Support both string and emailData object
+  featuresFor(emailData) {
+    if (typeof emailData === 'string') {
+      return this.tokenize(emailData);
+    }
+    return this.extractFeatures(emailData);
+  }
+
+  // Features for a stored training sample (old text format or emailData)
+  featuresFromSample(item) {
+    if (item.emailData) {
+      return this.extractFeatures(item.emailData);
+    } else if (item.text) {
+      return this.tokenize(item.text);
+    }
+    return null;
+  }
+
   termFrequency(words) {
     const tf = new Map();
     for (const word of words) {
@@ -88,6 +545,155 @@ class TfIdfNaiveBayes {
     return tf;
   }
 
+  train(trainingData) {
+    throw new Error(`${this.backend} does not implement train`);
+  }
+
+  // Log-odds of spam versus ham for a feature list
+  decisionFunction(features) {
+    throw new Error(`${this.backend} does not implement decisionFunction`);
+  }
+
+  predict(emailData) {
+    if (!this.isTrained) {
+      return { label: 'unknown', probability: 0, scores: {} };
+    }
+
+    const spamProb = this.calibrate(this.decisionFunction(this.featuresFor(emailData)));
+    const probabilities = { spam: spamProb, ham: 1 - spamProb };
+    const predictedLabel = probabilities.spam > probabilities.ham ? 'spam' : 'ham';
+
+    return {
+      label: predictedLabel,
+      probability: probabilities[predictedLabel],
+      scores: probabilities
+    };
+  }
+
+  // Map a decision margin to a spam probability
+  calibrate(margin) {
+    if (this.calibration?.method === "platt") {
+      return 1 / (1 + Math.exp(-(this.calibration.a * margin + this.calibration.b)));
+    }
+    if (this.calibration?.method === "isotonic" && this.calibration.points.length > 0) {
+      return applyIsotonic(this.calibration.points, margin);
+    }
+    return 1 / (1 + Math.exp(-margin));
+  }
+
+  // Fit calibration from held-out margins and labels (1 = spam, 0 = ham)
+  fitCalibration(method, margins, labels) {
+    if (method === "platt") {
+      this.calibration = fitPlattScaling(margins, labels);
+    } else if (method === "isotonic") {
+      this.calibration = fitIsotonicRegression(margins, labels);
+    } else {
+      this.calibration = null;
+    }
+  }
+
+  // Why a message scored as it did. Returns the bias term, the summed
+  // contribution per feature family, and the n features with the largest
+  // signed contributions. Contributions are in log-odds: positive pushes
+  // toward spam, negative toward ham, and bias plus all contributions
+  // equals the uncalibrated decision margin.
+  explain(emailData, n = 10) {
+    throw new Error(`${this.backend} does not implement explain`);
+  }
+
+  summarizeContributions(bias, contributions, n) {
+    const families = {};
+    for (const { family, score } of contributions) {
+      families[family] = (families[family] || 0) + score;
+    }
+
+    return {
+      bias,
+      families,
+      features: contributions
+        .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+        .slice(0, n)
+    };
+  }
+
+  // Incremental updates; backends that cannot do them return false
+  addSample(item) {
+    return false;
+  }
+
+  removeSample(item) {
+    return false;
+  }
+
+  // Number of stored features, which drives the serialized model size
+  featureCount() {
+    return 0;
+  }
+
+  // Drop the least useful features until at most maxFeatures remain.
+  // Returns the number of features removed.
+  prune(maxFeatures) {
+    return 0;
+  }
+
+  getInfo() {
+    return {
+      backend: this.backend,
+      tokenizer: this.tokenizer,
+      calibration: this.calibration?.method || "none",
+      isTrained: this.isTrained,
+      vocabularySize: 0,
+      featureCount: this.featureCount(),
+      classDistribution: this.classDocCount
+    };
+  }
+
+  serialize() {
+    throw new Error(`${this.backend} does not implement serialize`);
+  }
+
+  deserialize(data) {
+    throw new Error(`${this.backend} does not implement deserialize`);
+  }
+}
+
+// ============================================
+// TF-IDF Naive Bayes Classifier
+// ============================================
+
+// FNV-1a hash of a token, used to share models without revealing vocabulary
+function hashToken(token) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return "#" + (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+class TfIdfNaiveBayes extends SpamClassifier {
+  constructor() {
+    super();
+    this.backend = "naive_bayes";
+    this.vocabulary = new Map();
+    this.documentFrequency = new Map();
+    this.classWordCounts = { spam: new Map(), ham: new Map() };
+    this.classTotalWords = { spam: 0, ham: 0 };
+    this.alpha = 1.0;
+    this.minDf = 2;  // Minimum document frequency
+    this.hashTokens = false;  // Features are stored as hashes (see hashKeys)
+  }
+
+  featuresFor(emailData) {
+    const features = super.featuresFor(emailData);
+    return this.hashTokens ? features.map(hashToken) : features;
+  }
+
+  featuresFromSample(item) {
+    const features = super.featuresFromSample(item);
+    return features && this.hashTokens ? features.map(hashToken) : features;
+  }
+
   idf(word) {
     const df = this.documentFrequency.get(word) || 0;
     if (df === 0) return 0;
@@ -109,7 +715,8 @@ class TfIdfNaiveBayes {
     this.classWordCounts = { spam: new Map(), ham: new Map() };
     this.classTotalWords = { spam: 0, ham: 0 };
     this.classDocCount = { spam: 0, ham: 0 };
-    this.totalDocuments = trainingData.length;
+    this.totalDocuments = 0;
+    this.isTrained = false;
 
     if (trainingData.length === 0) {
       console.log("[Classifier] No training data provided");
@@ -117,111 +724,213 @@ class TfIdfNaiveBayes {
     }
 
     for (const item of trainingData) {
-      // Support both old format (text) and new format (emailData)
-      let features;
-      if (item.emailData) {
-        features = this.extractFeatures(item.emailData);
-      } else if (item.text) {
-        features = this.tokenize(item.text);
-      } else {
-        continue;
-      }
+      this.addSample(item);
+    }
 
-      const label = item.label;
-      const uniqueWords = new Set(features);
+    console.log(`[Classifier] Trained with ${trainingData.length} docs (spam: ${this.classDocCount.spam}, ham: ${this.classDocCount.ham}), vocab: ${this.vocabulary.size}`);
+  }
 
-      for (const word of uniqueWords) {
-        this.documentFrequency.set(word, (this.documentFrequency.get(word) || 0) + 1);
-      }
+  // Add one labeled sample, updating counts and vocabulary in place
+  addSample(item) {
+    const features = this.featuresFromSample(item);
+    if (!features || !this.classWordCounts[item.label]) return false;
+    this.updateCounts(features, item.label, 1);
+    this.isTrained = this.totalDocuments > 0;
+    return true;
+  }
 
-      this.classDocCount[label]++;
+  // Remove a sample previously added with addSample
+  removeSample(item) {
+    const features = this.featuresFromSample(item);
+    if (!features || !this.classWordCounts[item.label]) return false;
+    this.updateCounts(features, item.label, -1);
+    this.isTrained = this.totalDocuments > 0;
+    return true;
+  }
 
-      for (const word of features) {
-        const counts = this.classWordCounts[label];
-        counts.set(word, (counts.get(word) || 0) + 1);
-        this.classTotalWords[label]++;
-      }
+  // Set a word's document frequency, keeping the vocabulary in sync with minDf
+  setDocumentFrequency(word, df) {
+    if (df > 1e-9) {
+      this.documentFrequency.set(word, df);
+    } else {
+      this.documentFrequency.delete(word);
     }
 
-    // Build vocabulary (filter by minDf)
-    let idx = 0;
-    for (const [word, df] of this.documentFrequency) {
-      if (df >= this.minDf) {
-        this.vocabulary.set(word, idx++);
+    if (df >= this.minDf) {
+      if (!this.vocabulary.has(word)) {
+        this.vocabulary.set(word, this.vocabulary.size);
       }
+    } else {
+      this.vocabulary.delete(word);
     }
-
-    this.isTrained = true;
-    console.log(`[Classifier] Trained with ${trainingData.length} docs (spam: ${this.classDocCount.spam}, ham: ${this.classDocCount.ham}), vocab: ${this.vocabulary.size}`);
   }
 
-  predict(emailData) {
-    if (!this.isTrained) {
-      return { label: 'unknown', probability: 0, scores: {} };
+  updateCounts(features, label, delta) {
+    const counts = this.classWordCounts[label];
+
+    for (const word of new Set(features)) {
+      this.setDocumentFrequency(word, (this.documentFrequency.get(word) || 0) + delta);
     }
 
-    // Support both string and emailData object
-    let features;
-    if (typeof emailData === 'string') {
-      features = this.tokenize(emailData);
-    } else {
-      features = this.extractFeatures(emailData);
+    // Totals move by the counts that actually change: a pruned model has no
+    // counts left for some of a removed sample's tokens
+    let change = 0;
+    for (const word of features) {
+      const current = counts.get(word) || 0;
+      const count = Math.max(current + delta, 0);
+      if (count > 0) {
+        counts.set(word, count);
+      } else {
+        counts.delete(word);
+      }
+      change += count - current;
     }
 
-    const tfidfVec = this.tfidfFromFeatures(features);
-    const logProbs = {};
-    const vocabSize = this.vocabulary.size || 1;
+    this.classTotalWords[label] += change;
+    this.classDocCount[label] = Math.max(this.classDocCount[label] + delta, 0);
+    this.totalDocuments = Math.max(this.totalDocuments + delta, 0);
+  }
 
-    for (const label of ['spam', 'ham']) {
-      const priorProb = (this.classDocCount[label] + this.alpha) /
-                        (this.totalDocuments + 2 * this.alpha);
-      let logProb = Math.log(priorProb);
-      const wordCounts = this.classWordCounts[label];
-      const totalWords = this.classTotalWords[label];
+  priorLogOdds() {
+    return Math.log((this.classDocCount.spam + this.alpha) / (this.classDocCount.ham + this.alpha));
+  }
 
-      for (const [word, tfidfValue] of tfidfVec) {
-        if (!this.vocabulary.has(word)) continue;
-        const wordCount = wordCounts.get(word) || 0;
-        const wordProb = (wordCount + this.alpha) / (totalWords + this.alpha * vocabSize);
-        logProb += Math.log(wordProb) * tfidfValue;
-      }
-      logProbs[label] = logProb;
-    }
+  // log P(word | spam) - log P(word | ham), with Laplace smoothing
+  logLikelihoodRatio(word) {
+    const vocabSize = this.vocabulary.size || 1;
+    const logProb = (label) =>
+      Math.log(((this.classWordCounts[label].get(word) || 0) + this.alpha) /
+               (this.classTotalWords[label] + this.alpha * vocabSize));
+    return logProb('spam') - logProb('ham');
+  }
 
-    const maxLogProb = Math.max(logProbs.spam, logProbs.ham);
-    const expSpam = Math.exp(logProbs.spam - maxLogProb);
-    const expHam = Math.exp(logProbs.ham - maxLogProb);
-    const sumExp = expSpam + expHam;
+  // Each word's log-likelihood ratio is weighted by its TF-IDF value
+  decisionFunction(features) {
+    let margin = this.priorLogOdds();
+    for (const [word, tfidfValue] of this.tfidfFromFeatures(features)) {
+      if (!this.vocabulary.has(word)) continue;
+      margin += tfidfValue * this.logLikelihoodRatio(word);
+    }
+    return margin;
+  }
 
-    const probabilities = { spam: expSpam / sumExp, ham: expHam / sumExp };
-    const predictedLabel = probabilities.spam > probabilities.ham ? 'spam' : 'ham';
+  explain(emailData, n = 10) {
+    // Show the original tokens even when the model stores hashes
+    const raw = super.featuresFor(emailData);
+    const features = this.featuresFor(emailData);
+    const display = new Map(features.map((key, i) => [key, raw[i]]));
+
+    const contributions = [];
+    for (const [word, tfidfValue] of this.tfidfFromFeatures(features)) {
+      if (!this.vocabulary.has(word)) continue;
+      const token = display.get(word);
+      contributions.push({
+        word: token,
+        family: featureFamily(token),
+        score: tfidfValue * this.logLikelihoodRatio(word)
+      });
+    }
 
-    return {
-      label: predictedLabel,
-      probability: probabilities[predictedLabel],
-      scores: probabilities
-    };
+    return this.summarizeContributions(this.priorLogOdds(), contributions, n);
   }
 
-  getTopFeatures(emailData, n = 10) {
-    let features;
-    if (typeof emailData === 'string') {
-      features = this.tokenize(emailData);
-    } else {
-      features = this.extractFeatures(emailData);
+  // Add another serialized model's counts, scaled by weight. A negative
+  // weight subtracts them again, which is how merges are undone.
+  mergeCounts(data, weight) {
+    for (const [word, df] of data.documentFrequency) {
+      this.setDocumentFrequency(word, (this.documentFrequency.get(word) || 0) + weight * df);
+    }
+
+    for (const label of ['spam', 'ham']) {
+      const counts = this.classWordCounts[label];
+      for (const [word, count] of data.classWordCounts[label]) {
+        const next = (counts.get(word) || 0) + weight * count;
+        if (next > 1e-9) {
+          counts.set(word, next);
+        } else {
+          counts.delete(word);
+        }
+      }
+      this.classTotalWords[label] += weight * data.classTotalWords[label];
+      this.classDocCount[label] += weight * data.classDocCount[label];
     }
 
-    const tfidfVec = this.tfidfFromFeatures(features);
-    return Array.from(tfidfVec.entries())
-      .filter(([word]) => this.vocabulary.has(word))
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, n)
-      .map(([word, score]) => ({ word, score: score.toFixed(4) }));
+    this.totalDocuments += weight * data.totalDocuments;
+    this.isTrained = this.totalDocuments > 0;
   }
 
-  serialize() {
+  // Replace every stored token with its hash. This cannot be reversed.
+  hashKeys() {
+    if (this.hashTokens) return;
+
+    const rehash = (map) => {
+      const hashed = new Map();
+      for (const [word, value] of map) {
+        const key = hashToken(word);
+        hashed.set(key, (hashed.get(key) || 0) + value);
+      }
+      return hashed;
+    };
+
+    const documentFrequency = rehash(this.documentFrequency);
+    this.documentFrequency = new Map();
+    this.vocabulary = new Map();
+    for (const [word, df] of documentFrequency) {
+      this.setDocumentFrequency(word, df);
+    }
+    this.classWordCounts = {
+      spam: rehash(this.classWordCounts.spam),
+      ham: rehash(this.classWordCounts.ham)
+    };
+    this.hashTokens = true;
+  }
+
+  featureCount() {
+    return this.documentFrequency.size;
+  }
+
+  // Tokens below minDf go first, since they never enter the vocabulary.
+  // If that is not enough, vocabulary words are ranked by how strongly they
+  // separate spam from ham, weighted by how often they occur.
+  prune(maxFeatures) {
+    const before = this.documentFrequency.size;
+    if (!maxFeatures || before <= maxFeatures) return 0;
+
+    const removeWord = (word) => {
+      for (const label of ["spam", "ham"]) {
+        const count = this.classWordCounts[label].get(word) || 0;
+        this.classTotalWords[label] = Math.max(this.classTotalWords[label] - count, 0);
+        this.classWordCounts[label].delete(word);
+      }
+      this.documentFrequency.delete(word);
+      this.vocabulary.delete(word);
+    };
+
+    for (const [word, df] of this.documentFrequency) {
+      if (df < this.minDf) removeWord(word);
+    }
+
+    const excess = this.documentFrequency.size - maxFeatures;
+    if (excess > 0) {
+      Array.from(this.documentFrequency.entries())
+        .map(([word, df]) => [word, Math.abs(this.logLikelihoodRatio(word)) * Math.log(1 + df)])
+        .sort((a, b) => a[1] - b[1])
+        .slice(0, excess)
+        .forEach(([word]) => removeWord(word));
+    }
+
+    return before - this.documentFrequency.size;
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), vocabularySize: this.vocabulary.size };
+  }
+
+  // The vocabulary is not stored; it is rebuilt from documentFrequency on load
+  serialize() {
     return {
-      vocabulary: Array.from(this.vocabulary.entries()),
+      backend: this.backend,
+      tokenizer: this.tokenizer,
       documentFrequency: Array.from(this.documentFrequency.entries()),
       totalDocuments: this.totalDocuments,
       classDocCount: this.classDocCount,
@@ -230,14 +939,24 @@ class TfIdfNaiveBayes {
         ham: Array.from(this.classWordCounts.ham.entries())
       },
       classTotalWords: this.classTotalWords,
+      hashTokens: this.hashTokens,
+      calibration: this.calibration,
+      calibrationRequested: this.calibrationRequested,
       isTrained: this.isTrained
     };
   }
 
   deserialize(data) {
     if (!data) return;
-    this.vocabulary = new Map(data.vocabulary || []);
+    // Models saved before tokenizers were selectable used whitespace splitting
+    this.tokenizer = data.tokenizer || "whitespace";
     this.documentFrequency = new Map(data.documentFrequency || []);
+    this.vocabulary = new Map();
+    for (const [word, df] of this.documentFrequency) {
+      if (df >= this.minDf) {
+        this.vocabulary.set(word, this.vocabulary.size);
+      }
+    }
     this.totalDocuments = data.totalDocuments || 0;
     this.classDocCount = data.classDocCount || { spam: 0, ham: 0 };
     this.classWordCounts = {
@@ -245,10 +964,193 @@ class TfIdfNaiveBayes {
       ham: new Map(data.classWordCounts?.ham || [])
     };
     this.classTotalWords = data.classTotalWords || { spam: 0, ham: 0 };
+    this.hashTokens = data.hashTokens || false;
+    this.calibration = data.calibration || null;
+    this.calibrationRequested = data.calibrationRequested || this.calibration?.method || "none";
+    this.isTrained = data.isTrained || false;
+  }
+}
+
+// ============================================
+// Online Logistic Regression Classifier
+// ============================================
+
+// Logistic regression trained by SGD over the same features as Naive Bayes.
+// Feature values are log-scaled term counts, L2-normalized per message.
+class OnlineLogisticRegression extends SpamClassifier {
+  constructor() {
+    super();
+    this.backend = "logistic_regression";
+    this.weights = new Map();
+    this.bias = 0;
+    this.learningRate = 0.5;
+    this.l2 = 0.0001;  // Regularization strength
+    this.epochs = 10;  // Passes over the data in a full train
+  }
+
+  featureVector(features) {
+    const counts = new Map();
+    for (const feature of features) {
+      counts.set(feature, (counts.get(feature) || 0) + 1);
+    }
+    let norm = 0;
+    for (const [feature, count] of counts) {
+      const value = 1 + Math.log(count);
+      counts.set(feature, value);
+      norm += value * value;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [feature, value] of counts) {
+      counts.set(feature, value / norm);
+    }
+    return counts;
+  }
+
+  dot(vector) {
+    let z = this.bias;
+    for (const [feature, value] of vector) {
+      z += (this.weights.get(feature) || 0) * value;
+    }
+    return z;
+  }
+
+  // One SGD step on the log loss; target is 1 for spam, 0 for ham
+  sgdStep(vector, target) {
+    const p = 1 / (1 + Math.exp(-this.dot(vector)));
+    const gradient = p - target;
+    this.bias -= this.learningRate * gradient;
+    for (const [feature, value] of vector) {
+      const weight = this.weights.get(feature) || 0;
+      this.weights.set(feature, weight - this.learningRate * (gradient * value + this.l2 * weight));
+    }
+  }
+
+  train(trainingData) {
+    this.weights = new Map();
+    this.bias = 0;
+    this.classDocCount = { spam: 0, ham: 0 };
+    this.totalDocuments = 0;
+    this.isTrained = false;
+
+    if (trainingData.length === 0) {
+      console.log("[Classifier] No training data provided");
+      return;
+    }
+
+    const samples = [];
+    for (const item of trainingData) {
+      const features = this.featuresFromSample(item);
+      if (!features || !(item.label in this.classDocCount)) continue;
+      samples.push({ vector: this.featureVector(features), target: item.label === 'spam' ? 1 : 0 });
+      this.classDocCount[item.label]++;
+      this.totalDocuments++;
+    }
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      // Shuffle each epoch
+      for (let i = samples.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [samples[i], samples[j]] = [samples[j], samples[i]];
+      }
+      for (const sample of samples) {
+        this.sgdStep(sample.vector, sample.target);
+      }
+    }
+
+    this.isTrained = this.totalDocuments > 0;
+    console.log(`[Classifier] Trained logistic regression with ${this.totalDocuments} docs (spam: ${this.classDocCount.spam}, ham: ${this.classDocCount.ham}), weights: ${this.weights.size}`);
+  }
+
+  addSample(item) {
+    const features = this.featuresFromSample(item);
+    if (!features || !(item.label in this.classDocCount)) return false;
+    this.sgdStep(this.featureVector(features), item.label === 'spam' ? 1 : 0);
+    this.classDocCount[item.label]++;
+    this.totalDocuments++;
+    this.isTrained = true;
+    return true;
+  }
+
+  decisionFunction(features) {
+    return this.dot(this.featureVector(features));
+  }
+
+  explain(emailData, n = 10) {
+    const contributions = [];
+    for (const [feature, value] of this.featureVector(this.featuresFor(emailData))) {
+      if (!this.weights.has(feature)) continue;
+      contributions.push({
+        word: feature,
+        family: featureFamily(feature),
+        score: this.weights.get(feature) * value
+      });
+    }
+    return this.summarizeContributions(this.bias, contributions, n);
+  }
+
+  featureCount() {
+    return this.weights.size;
+  }
+
+  // Keep the weights with the largest magnitude
+  prune(maxFeatures) {
+    const before = this.weights.size;
+    if (!maxFeatures || before <= maxFeatures) return 0;
+
+    this.weights = new Map(
+      Array.from(this.weights.entries())
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .slice(0, maxFeatures)
+    );
+    return before - this.weights.size;
+  }
+
+  getInfo() {
+    return { ...super.getInfo(), vocabularySize: this.weights.size };
+  }
+
+  serialize() {
+    return {
+      backend: this.backend,
+      tokenizer: this.tokenizer,
+      weights: Array.from(this.weights.entries()),
+      bias: this.bias,
+      totalDocuments: this.totalDocuments,
+      classDocCount: this.classDocCount,
+      calibration: this.calibration,
+      calibrationRequested: this.calibrationRequested,
+      isTrained: this.isTrained
+    };
+  }
+
+  deserialize(data) {
+    if (!data) return;
+    this.tokenizer = data.tokenizer || "whitespace";
+    this.weights = new Map(data.weights || []);
+    this.bias = data.bias || 0;
+    this.totalDocuments = data.totalDocuments || 0;
+    this.classDocCount = data.classDocCount || { spam: 0, ham: 0 };
+    this.calibration = data.calibration || null;
+    this.calibrationRequested = data.calibrationRequested || this.calibration?.method || "none";
     this.isTrained = data.isTrained || false;
   }
 }
 
+// Available classifier backends, keyed by the name stored in settings and models
+const CLASSIFIER_BACKENDS = {
+  naive_bayes: TfIdfNaiveBayes,
+  logistic_regression: OnlineLogisticRegression
+};
+
+function createClassifier(backend, options = {}) {
+  const Backend = CLASSIFIER_BACKENDS[backend] || TfIdfNaiveBayes;
+  const model = new Backend();
+  if (options.tokenizer && TOKENIZERS[options.tokenizer]) {
+    model.tokenizer = options.tokenizer;
+  }
+  return model;
+}
+
 // ============================================
 // Main Extension Code
 // ============================================
@@ -256,12 +1158,29 @@ class TfIdfNaiveBayes {
 // Default settings
 const DEFAULT_SETTINGS = {
   enabled: true,
+  headerRules: DEFAULT_HEADER_RULES,
+  senderAllowList: [],
+  senderBlockList: [],
+  trustAddressBook: true,
+  trustCorrespondents: true,
+  userRules: [],
+  signalWeights: { rule: 1, blocklist: 1, header: 1, auth: 1, attachment: 1, ml: 1 },
   targetFolderId: null,
   targetFolderPath: "Spam",
   autoScan: true,
   notifyOnMove: true,
   logActions: true,
+  retentionEnabled: false,
+  retentionDays: 30,
+  retentionAction: "trash",
+  scanSchedules: [],
+  detectImpersonation: true,
+  flagDangerousAttachments: true,
   useMLClassifier: true,
+  classifierBackend: "naive_bayes",
+  tokenizer: DEFAULT_TOKENIZER,
+  calibrationMethod: "none",  // "none", "platt" or "isotonic"
+  maxModelFeatures: 20000,  // 0 = unlimited
   mlThreshold: 0.7,
   scanDaysRange: 50,
   maxTrainingSamples: 500  // Max samples per class for training
@@ -288,6 +1207,11 @@ let scanProgress = {
   predictions: []
 };
 
+// Unique id for stored records; ids made in the same millisecond still differ
+function uniqueId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 // Training progress
 let trainingProgress = {
   isTraining: false,
@@ -297,7 +1221,7 @@ let trainingProgress = {
 };
 
 // ML Classifier instance
-let classifier = new TfIdfNaiveBayes();
+let classifier = createClassifier(DEFAULT_SETTINGS.classifierBackend, { tokenizer: DEFAULT_SETTINGS.tokenizer });
 let trainingData = [];
 
 // Initialize extension
@@ -310,6 +1234,15 @@ async function initialize() {
     settings = { ...DEFAULT_SETTINGS, ...stored.settings };
   }
 
+  // An unknown backend or tokenizer would never match the built model and
+  // force a retrain on every startup
+  if (!CLASSIFIER_BACKENDS[settings.classifierBackend]) {
+    settings.classifierBackend = DEFAULT_SETTINGS.classifierBackend;
+  }
+  if (!TOKENIZERS[settings.tokenizer]) {
+    settings.tokenizer = DEFAULT_SETTINGS.tokenizer;
+  }
+
   // Load stats
   const storedStats = await browser.storage.local.get("stats");
   if (storedStats.stats) {
@@ -322,11 +1255,32 @@ async function initialize() {
     trainingData = storedTraining.trainingData;
   }
 
+  await loadAddressBookEmails();
+  await loadBlocklists();
+
+  // First run: learn correspondents from sent folders
+  if (!(await loadCorrespondents())) {
+    await buildCorrespondentIndex();
+  }
+
   // Load or train classifier
   const storedModel = await browser.storage.local.get("classifierModel");
-  if (storedModel.classifierModel && storedModel.classifierModel.isTrained) {
-    classifier.deserialize(storedModel.classifierModel);
-    console.log("[Spam Guard] Classifier model loaded from storage");
+  const model = loadStoredModel(storedModel.classifierModel);
+  if (model) {
+    // Settings saved before the tokenizer was selectable keep the stored
+    // model's tokenizer instead of retraining with the new default
+    if (stored.settings && !stored.settings.tokenizer) {
+      settings.tokenizer = model.tokenizer;
+      await saveSettings();
+    }
+
+    classifier = createClassifier(model.backend);
+    classifier.deserialize(model);
+    console.log(`[Spam Guard] Classifier model (${classifier.backend}) loaded from storage`);
+
+    if (!classifierMatchesSettings()) {
+      await rebuildClassifier();
+    }
   } else {
     // First time: train from mailbox folders
     console.log("[Spam Guard] No trained model found, will train from mailbox folders");
@@ -338,6 +1292,8 @@ async function initialize() {
   if (settings.autoScan) {
     setupMessageListener();
   }
+
+  await setupAlarms();
 }
 
 // ============================================
@@ -362,18 +1318,166 @@ function parseSender(author) {
   return { name: author.trim(), email: "" };
 }
 
-// Get message body text
-async function getMessageBodyText(messageId) {
+const MAX_LINKS = 50;
+const MAX_ANCHOR_TEXT = 100;
+
+const WHITE = /^\s*(white|#fff(fff)?|rgb\(\s*255\s*,\s*255\s*,\s*255\s*\))\s*$/i;
+
+// The background an element's text is drawn on: the nearest ancestor
+// that sets one inline, or null when it depends on stylesheets or the
+// reader's theme and so is unknown
+function backgroundOf(element) {
+  for (let el = element; el && el.style; el = el.parentElement) {
+    const background = el.style.backgroundColor || el.getAttribute("bgcolor");
+    if (background) return background;
+  }
+  return null;
+}
+
+// Text a reader never sees: not displayed, transparent, zero-sized, or
+// white on an inline white background
+function isHiddenElement(element) {
+  const style = element.style;
+  if (element.hasAttribute("hidden")) return true;
+  if (style.display === "none" || style.visibility === "hidden" || style.opacity === "0") return true;
+  if (/^0(px|pt|em|rem|%)?$/.test(style.fontSize)) return true;
+  if (/^0(px)?$/.test(style.maxHeight) && style.overflow === "hidden") return true;
+
+  const color = style.color || element.getAttribute("color");
+  const background = backgroundOf(element);
+  return Boolean(color && background) && WHITE.test(color) && WHITE.test(background);
+}
+
+// A remote image no bigger than 1x1, used to report that a message was opened
+function isTrackingPixel(img) {
+  const size = (attr, prop) => parseInt(img.getAttribute(attr) || img.style[prop], 10);
+  const src = img.getAttribute("src") || "";
+  return /^https?:/i.test(src) && size("width", "width") <= 1 && size("height", "height") <= 1;
+}
+
+// Parse an HTML part once for its visible text, links and layout. Hidden
+// elements are counted and then removed, so their text can't reach the
+// tokenizer.
+function analyzeHtml(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll("script, style, head, template").forEach(el => el.remove());
+
+  const stats = {
+    markupLength: html.length,
+    textLength: 0,
+    images: 0,
+    trackingPixels: 0,
+    hiddenElements: 0,
+    forms: doc.querySelectorAll("form, input, select, textarea").length
+  };
+
+  for (const element of Array.from(doc.querySelectorAll("body *"))) {
+    if (element.isConnected && isHiddenElement(element) && element.textContent.trim()) {
+      stats.hiddenElements++;
+      element.remove();
+    }
+  }
+
+  for (const img of doc.querySelectorAll("img")) {
+    if (isTrackingPixel(img)) stats.trackingPixels++;
+    else stats.images++;
+  }
+
+  const links = Array.from(doc.querySelectorAll("a[href]"), a => ({
+    href: a.getAttribute("href").trim(),
+    text: a.textContent.trim().substring(0, MAX_ANCHOR_TEXT)
+  }));
+
+  // Join text nodes with spaces so adjacent cells don't run together
+  const words = [];
+  if (doc.body) {
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) words.push(walker.currentNode.nodeValue);
+  }
+  const text = words.join(" ").replace(/\s+/g, " ").trim();
+  stats.textLength = text.length;
+
+  return { text, links, stats };
+}
+
+// Bare URLs in plain text, which have no separate anchor text
+function extractTextLinks(text) {
+  return Array.from(text.matchAll(/https?:\/\/[^\s<>"')\]]+/g), ([href]) => ({
+    href: href.replace(/[.,;:!?]+$/, ""),  // Trailing sentence punctuation
+    text: ""
+  }));
+}
+
+const MAX_ATTACHMENTS = 20;
+
+// Parts with a file name or an attachment disposition are attachments,
+// even text ones, and don't contribute to the body
+function isAttachmentPart(part) {
+  const disposition = part.headers?.["content-disposition"]?.[0] || "";
+  return Boolean(part.name) || /^\s*attachment/i.test(disposition);
+}
+
+// Results of isEncryptedZip by message id and part, so rescans and feedback
+// don't download the same attachment again. Oldest entries are dropped first.
+const MAX_ZIP_CHECKS = 500;
+const zipChecks = new Map();
+
+// Encrypted zips hide their contents from scanners. Needs
+// messages.getAttachmentFile, which Thunderbird added in version 88.
+async function isEncryptedZip(messageId, partName) {
+  if (!browser.messages.getAttachmentFile) return false;
+
+  const key = `${messageId}:${partName}`;
+  if (zipChecks.has(key)) return zipChecks.get(key);
+
+  let encrypted = false;
+  try {
+    const file = await browser.messages.getAttachmentFile(messageId, partName);
+    const header = new DataView(await file.slice(0, 8).arrayBuffer());
+    // Local file header signature PK\3\4, then bit 0 of the general purpose flags
+    encrypted = header.getUint32(0, true) === 0x04034b50 && (header.getUint16(6, true) & 1) === 1;
+  } catch (e) {
+    return false;
+  }
+
+  zipChecks.set(key, encrypted);
+  if (zipChecks.size > MAX_ZIP_CHECKS) {
+    zipChecks.delete(zipChecks.keys().next().value);
+  }
+  return encrypted;
+}
+
+// Get message headers, body text, links, attachments and HTML layout with
+// a single getFull call
+async function getMessageContent(messageId) {
   try {
     const messagePart = await browser.messages.getFull(messageId);
     let bodyText = "";
+    const links = [];
+    const attachments = [];
+    let htmlStats = null;
 
     function extractText(part) {
-      if (part.contentType && part.contentType.startsWith("text/plain") && part.body) {
+      if (part.contentType && !part.contentType.startsWith("multipart/") && isAttachmentPart(part)) {
+        attachments.push({
+          name: part.name || "",
+          contentType: part.contentType,
+          size: part.size || 0,
+          partName: part.partName
+        });
+      } else if (part.contentType && part.contentType.startsWith("text/plain") && part.body) {
         bodyText += part.body + " ";
+        links.push(...extractTextLinks(part.body));
       } else if (part.contentType && part.contentType.startsWith("text/html") && part.body) {
-        // Strip HTML tags for HTML content
-        bodyText += part.body.replace(/<[^>]*>/g, ' ') + " ";
+        const analysis = analyzeHtml(part.body);
+        links.push(...analysis.links);
+        bodyText += analysis.text + " ";
+
+        // Sum the stats over all HTML parts
+        htmlStats = htmlStats || { markupLength: 0, textLength: 0, images: 0, trackingPixels: 0, hiddenElements: 0, forms: 0 };
+        for (const key of Object.keys(htmlStats)) {
+          htmlStats[key] += analysis.stats[key];
+        }
       }
       if (part.parts) {
         for (const subpart of part.parts) {
@@ -383,15 +1487,47 @@ async function getMessageBodyText(messageId) {
     }
 
     extractText(messagePart);
-    return bodyText.substring(0, 5000); // Limit body length
+
+    const recorded = attachments.slice(0, MAX_ATTACHMENTS);
+    for (const attachment of recorded) {
+      if (fileExtensions(attachment.name).pop() === "zip") {
+        attachment.encrypted = await isEncryptedZip(messageId, attachment.partName);
+      }
+      delete attachment.partName;
+    }
+
+    return {
+      headers: messagePart.headers || {},
+      body: bodyText.substring(0, 5000), // Limit body length
+      links: links.slice(0, MAX_LINKS),
+      attachments: recorded,
+      html: htmlStats
+    };
   } catch (error) {
-    console.error("[Spam Guard] Error getting body:", error);
-    return "";
+    console.error("[Spam Guard] Error getting message content:", error);
+    return { headers: {}, body: "", links: [], attachments: [], html: null };
   }
 }
 
-// Collect training data from a folder
-async function collectTrainingDataFromFolder(folder, label, maxSamples) {
+// The classifier's view of a message
+function buildEmailData(message, content) {
+  const sender = parseSender(message.author);
+  return {
+    senderName: sender.name,
+    senderEmail: sender.email,
+    subject: message.subject || "",
+    body: content.body,
+    links: content.links,
+    auth: parseAuthResults(content.headers),
+    received: analyzeReceivedChain(content.headers),
+    attachments: content.attachments,
+    html: content.html
+  };
+}
+
+// Collect training data from a folder, adding each message's feedbackKey
+// to collectedKeys if given
+async function collectTrainingDataFromFolder(folder, label, maxSamples, collectedKeys) {
   const samples = [];
 
   try {
@@ -403,18 +1539,13 @@ async function collectTrainingDataFromFolder(folder, label, maxSamples) {
         if (count >= maxSamples) break;
 
         try {
-          const sender = parseSender(message.author);
-          const body = await getMessageBodyText(message.id);
+          const content = await getMessageContent(message.id);
 
           samples.push({
             label: label,
-            emailData: {
-              senderName: sender.name,
-              senderEmail: sender.email,
-              subject: message.subject || "",
-              body: body
-            }
+            emailData: buildEmailData(message, content)
           });
+          collectedKeys?.add(feedbackKey(message));
 
           count++;
         } catch (e) {
@@ -496,6 +1627,7 @@ async function trainFromMailboxFolders() {
   try {
     const maxPerClass = settings.maxTrainingSamples || 500;
     let allTrainingData = [];
+    const collectedKeys = new Set();
 
     // Step 1: Collect spam samples from Spam/Junk folders (positive samples)
     trainingProgress.status = "Collecting spam samples from Spam/Junk folders...";
@@ -510,7 +1642,8 @@ async function trainFromMailboxFolders() {
       const samples = await collectTrainingDataFromFolder(
         folder,
         "spam",
-        Math.min(spamPerFolder, maxPerClass - spamSamples.length)
+        Math.min(spamPerFolder, maxPerClass - spamSamples.length),
+        collectedKeys
       );
       spamSamples = spamSamples.concat(samples);
       trainingProgress.spamCount = spamSamples.length;
@@ -534,7 +1667,8 @@ async function trainFromMailboxFolders() {
       const samples = await collectTrainingDataFromFolder(
         folder,
         "ham",
-        Math.min(hamPerFolder, targetHamCount - hamSamples.length)
+        Math.min(hamPerFolder, targetHamCount - hamSamples.length),
+        collectedKeys
       );
       hamSamples = hamSamples.concat(samples);
       trainingProgress.hamCount = hamSamples.length;
@@ -551,88 +1685,1574 @@ async function trainFromMailboxFolders() {
       allTrainingData = getDefaultTrainingData();
     }
 
-    // Shuffle training data
-    for (let i = allTrainingData.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allTrainingData[i], allTrainingData[j]] = [allTrainingData[j], allTrainingData[i]];
-    }
+    // Keep the user's own Move and Safe feedback, except for messages that
+    // were just collected from their folders and would count twice
+    allTrainingData = allTrainingData.concat(trainingData.filter(sample =>
+      sample.feedbackKey && !collectedKeys.has(sample.feedbackKey)));
+
+    // Shuffle training data
+    for (let i = allTrainingData.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [allTrainingData[i], allTrainingData[j]] = [allTrainingData[j], allTrainingData[i]];
+    }
+
+    // Train classifier
+    trainingProgress.status = "Training classifier...";
+    trainingData = allTrainingData;
+    await rebuildClassifier();
+
+    // Save
+    await saveTrainingData();
+
+    trainingProgress.status = "Complete!";
+    trainingProgress.isTraining = false;
+
+    console.log(`[Spam Guard] Training complete: ${spamSamples.length} spam, ${hamSamples.length} ham`);
+
+    return {
+      success: true,
+      spamCount: spamSamples.length,
+      hamCount: hamSamples.length
+    };
+
+  } catch (error) {
+    console.error("[Spam Guard] Training error:", error);
+    trainingProgress.status = "Error: " + error.message;
+    trainingProgress.isTraining = false;
+    return { success: false, error: error.message };
+  }
+}
+
+// Default training data as fallback
+function getDefaultTrainingData() {
+  return [
+    { label: "spam", emailData: { senderName: "Prize Winner", senderEmail: "winner@lottery.com", subject: "Congratulations! You've won!", body: "Click here to claim your free prize iPhone lottery winner" }},
+    { label: "spam", emailData: { senderName: "Security Alert", senderEmail: "security@fake-bank.com", subject: "URGENT: Account compromised", body: "Verify your password immediately suspicious activity detected" }},
+    { label: "spam", emailData: { senderName: "Make Money", senderEmail: "rich@fastcash.net", subject: "Earn $5000 per week!", body: "Work from home make money fast easy income opportunity" }},
+    { label: "spam", emailData: { senderName: "Special Offer", senderEmail: "deals@discount-store.com", subject: "90% OFF Limited time!", body: "Buy now limited offer discount sale cheap prices" }},
+    { label: "spam", emailData: { senderName: "Pharmacy", senderEmail: "meds@online-pharmacy.biz", subject: "Best prices on medications", body: "viagra cialis prescription drugs cheap online pharmacy" }},
+    { label: "spam", emailData: { senderName: "中奖通知", senderEmail: "prize@lucky88.cn", subject: "恭喜您中奖了！", body: "点击领取奖品 免费赠送 立即获取 限时优惠" }},
+    { label: "spam", emailData: { senderName: "贷款服务", senderEmail: "loan@fastmoney.cn", subject: "快速贷款审批", body: "无需抵押 当天放款 低息贷款 快速审批" }},
+    { label: "ham", emailData: { senderName: "John Smith", senderEmail: "john.smith@company.com", subject: "Meeting tomorrow", body: "Hi, just wanted to follow up on our meeting. Can we schedule a call?" }},
+    { label: "ham", emailData: { senderName: "HR Department", senderEmail: "hr@company.com", subject: "Quarterly report", body: "Please find attached the quarterly report for your review." }},
+    { label: "ham", emailData: { senderName: "Amazon", senderEmail: "shipping@amazon.com", subject: "Your order has shipped", body: "Thank you for your order. Your package will arrive in 3-5 business days." }},
+    { label: "ham", emailData: { senderName: "Team Lead", senderEmail: "lead@company.com", subject: "Team meeting reminder", body: "Reminder: Team meeting tomorrow at 10am in conference room B." }},
+    { label: "ham", emailData: { senderName: "Project Manager", senderEmail: "pm@company.com", subject: "Project update", body: "The project deadline has been extended to next Friday. Please review the attached timeline." }},
+    { label: "ham", emailData: { senderName: "张经理", senderEmail: "zhang@company.cn", subject: "工作报告", body: "您好，附件是本月的工作报告，请查收。" }},
+    { label: "ham", emailData: { senderName: "会议通知", senderEmail: "admin@company.cn", subject: "明天会议", body: "会议通知：明天上午10点在会议室开会，请准时参加。" }}
+  ];
+}
+
+// ============================================
+// Model Evaluation
+// ============================================
+
+const MAX_EVALUATION_HISTORY = 20;
+
+// Split samples into k folds, keeping the spam/ham ratio in each fold
+function stratifiedFolds(samples, k) {
+  const folds = Array.from({ length: k }, () => []);
+
+  for (const label of ["spam", "ham"]) {
+    const group = samples.filter(s => s.label === label);
+    for (let i = group.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [group[i], group[j]] = [group[j], group[i]];
+    }
+    group.forEach((sample, i) => folds[i % k].push(sample));
+  }
+
+  return folds;
+}
+
+// Accuracy, precision, recall, F1 and confusion matrix at a spam threshold
+function computeMetrics(results, threshold) {
+  const matrix = { tp: 0, fp: 0, tn: 0, fn: 0 };
+
+  for (const { label, spamScore } of results) {
+    const predictedSpam = spamScore >= threshold;
+    if (label === "spam") {
+      predictedSpam ? matrix.tp++ : matrix.fn++;
+    } else {
+      predictedSpam ? matrix.fp++ : matrix.tn++;
+    }
+  }
+
+  const { tp, fp, tn, fn } = matrix;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+
+  return {
+    threshold,
+    accuracy: results.length > 0 ? (tp + tn) / results.length : 0,
+    precision,
+    recall,
+    f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+    falsePositiveRate: fp + tn > 0 ? fp / (fp + tn) : 0,
+    confusionMatrix: matrix
+  };
+}
+
+// Decision margins for each sample from models that did not train on it.
+// Each fold model gets the same merges as the model being calibrated.
+function outOfFoldMargins(model, samples, merges = [], k = 5) {
+  const spamCount = samples.filter(s => s.label === "spam").length;
+  const folds = Math.min(k, spamCount, samples.length - spamCount);
+  const margins = [];
+  const labels = [];
+  if (folds < 2) return { margins, labels };
+
+  const foldSets = stratifiedFolds(samples, folds);
+  for (let i = 0; i < folds; i++) {
+    const foldModel = createClassifier(model.backend, { tokenizer: model.tokenizer });
+    foldModel.train(foldSets.filter((_, j) => j !== i).flat());
+    foldModel.prune(settings.maxModelFeatures);
+    applyMerges(foldModel, merges);
+
+    for (const sample of foldSets[i]) {
+      const features = foldModel.featuresFromSample(sample);
+      if (!features) continue;
+      margins.push(foldModel.decisionFunction(features));
+      labels.push(sample.label === "spam" ? 1 : 0);
+    }
+  }
+
+  return { margins, labels };
+}
+
+// Run stratified k-fold cross-validation over the training data
+async function evaluateModel(k = 5) {
+  const spamCount = trainingData.filter(s => s.label === "spam").length;
+  const hamCount = trainingData.filter(s => s.label === "ham").length;
+  const folds = Math.min(k, spamCount, hamCount);
+
+  if (folds < 2) {
+    throw new Error("Need at least 2 spam and 2 ham samples to evaluate");
+  }
+
+  const results = [];
+  const foldSets = stratifiedFolds(trainingData, folds);
+
+  for (let i = 0; i < folds; i++) {
+    const trainSet = foldSets.filter((_, j) => j !== i).flat();
+    const model = createClassifierFromSettings();
+    trainClassifier(model, trainSet);
+
+    for (const sample of foldSets[i]) {
+      const prediction = model.predict(sample.emailData || sample.text || "");
+      results.push({ label: sample.label, spamScore: prediction.scores.spam || 0 });
+    }
+  }
+
+  const report = {
+    evaluatedAt: new Date().toISOString(),
+    backend: settings.classifierBackend,
+    tokenizer: settings.tokenizer,
+    calibration: settings.calibrationMethod || "none",
+    folds,
+    sampleCount: results.length,
+    spamCount,
+    hamCount,
+    detection: computeMetrics(results, settings.mlThreshold),
+    autoMove: computeMetrics(results, settings.autoMoveThreshold || 0.99)
+  };
+
+  const stored = await browser.storage.local.get("evaluationHistory");
+  const evaluationHistory = [report, ...(stored.evaluationHistory || [])].slice(0, MAX_EVALUATION_HISTORY);
+  await browser.storage.local.set({ evaluationHistory });
+
+  console.log(`[Spam Guard] Evaluation: accuracy ${(report.detection.accuracy * 100).toFixed(1)}%, F1 ${(report.detection.f1 * 100).toFixed(1)}%`);
+  return report;
+}
+
+// ============================================
+// Model Export and Import
+// ============================================
+
+const MODEL_FILE_FORMAT = "spam-guard-model";
+
+// Version 1: models from 1.0.x (Naive Bayes only, whitespace tokenizer)
+// Version 2: classifier backends, tokenizers and calibration
+const MODEL_SCHEMA_VERSION = 2;
+
+// Upgrades a model from the keyed version to the next one
+const MODEL_MIGRATIONS = {
+  1: (model) => ({
+    ...model,
+    backend: model.backend || "naive_bayes",
+    tokenizer: model.tokenizer || "whitespace",
+    calibration: model.calibration || null,
+    schemaVersion: 2
+  })
+};
+
+const isProbability = (value) => typeof value === "number" && value > 0 && value <= 1;
+
+// Settings that travel with an exported model, each with the check an
+// imported value must pass
+const MODEL_SETTINGS_CHECKS = {
+  classifierBackend: (value) => Object.prototype.hasOwnProperty.call(CLASSIFIER_BACKENDS, value),
+  tokenizer: (value) => Object.prototype.hasOwnProperty.call(TOKENIZERS, value),
+  calibrationMethod: (value) => ["none", "platt", "isotonic"].includes(value),
+  maxModelFeatures: (value) => Number.isInteger(value) && value >= 0,
+  mlThreshold: isProbability,
+  autoMoveThreshold: isProbability
+};
+const MODEL_SETTINGS_KEYS = Object.keys(MODEL_SETTINGS_CHECKS);
+
+// Bring a serialized model up to the current schema version
+function migrateModel(model) {
+  let version = model.schemaVersion === undefined ? 1 : model.schemaVersion;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid model schema version: ${JSON.stringify(version)}`);
+  }
+  if (version > MODEL_SCHEMA_VERSION) {
+    throw new Error(`Model schema version ${version} is newer than this version of Spam Guard supports`);
+  }
+  while (version < MODEL_SCHEMA_VERSION) {
+    model = MODEL_MIGRATIONS[version](model);
+    version = model.schemaVersion;
+  }
+  return model;
+}
+
+function isCount(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+// [[token, number], ...] with every number passing check
+function isPairList(list, check) {
+  return Array.isArray(list) && list.every(entry =>
+    Array.isArray(entry) && entry.length === 2 && typeof entry[0] === "string" && check(entry[1]));
+}
+
+// Throw a descriptive error unless a migrated model is complete and consistent
+function validateModel(model) {
+  if (!model || typeof model !== "object") {
+    throw new Error("Model data is missing");
+  }
+  if (!CLASSIFIER_BACKENDS[model.backend]) {
+    throw new Error(`Unknown classifier backend: ${model.backend}`);
+  }
+  if (!TOKENIZERS[model.tokenizer]) {
+    throw new Error(`Unknown tokenizer: ${model.tokenizer}`);
+  }
+  if (!model.isTrained) {
+    throw new Error("Model is not trained");
+  }
+  if (!isCount(model.totalDocuments) || !isCount(model.classDocCount?.spam) || !isCount(model.classDocCount?.ham)) {
+    throw new Error("Document counts are missing or invalid");
+  }
+
+  if (model.backend === "naive_bayes") {
+    if (!isPairList(model.documentFrequency, isCount)) {
+      throw new Error("Document frequencies are missing or invalid");
+    }
+    if (!isPairList(model.classWordCounts?.spam, isCount) || !isPairList(model.classWordCounts?.ham, isCount)) {
+      throw new Error("Word counts are missing or invalid");
+    }
+    if (!isCount(model.classTotalWords?.spam) || !isCount(model.classTotalWords?.ham)) {
+      throw new Error("Word totals are missing or invalid");
+    }
+  } else if (model.backend === "logistic_regression") {
+    if (!isPairList(model.weights, Number.isFinite) || !Number.isFinite(model.bias)) {
+      throw new Error("Weights are missing or invalid");
+    }
+  }
+
+  const calibration = model.calibration;
+  if (calibration) {
+    const validPlatt = calibration.method === "platt" &&
+      Number.isFinite(calibration.a) && Number.isFinite(calibration.b);
+    const validIsotonic = calibration.method === "isotonic" && Array.isArray(calibration.points) &&
+      calibration.points.length > 0 &&
+      calibration.points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite));
+    if (!validPlatt && !validIsotonic) {
+      throw new Error("Calibration data is invalid");
+    }
+  }
+}
+
+// Migrate and validate a model read from storage; null if unusable
+function loadStoredModel(model) {
+  if (!model || !model.isTrained) return null;
+  try {
+    model = migrateModel(model);
+    validateModel(model);
+    return model;
+  } catch (error) {
+    console.error("[Spam Guard] Stored model is unusable:", error.message);
+    return null;
+  }
+}
+
+// Build an export file with the current model and its settings. With
+// hashTokens, Naive Bayes tokens are replaced by hashes for sharing.
+function exportModelFile(hashTokens = false) {
+  let model = classifier.serialize();
+  if (hashTokens) {
+    if (classifier.backend !== "naive_bayes") {
+      throw new Error("Token hashing is only available for Naive Bayes models");
+    }
+    model = hashedModelData(model);
+  }
+
+  const modelSettings = {};
+  for (const key of MODEL_SETTINGS_KEYS) {
+    if (settings[key] !== undefined) {
+      modelSettings[key] = settings[key];
+    }
+  }
+
+  return {
+    format: MODEL_FILE_FORMAT,
+    schemaVersion: MODEL_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: modelSettings,
+    model
+  };
+}
+
+// Check, migrate and validate the model inside an export file
+function readModelFile(file) {
+  if (!file || file.format !== MODEL_FILE_FORMAT) {
+    throw new Error("Not a Spam Guard model file");
+  }
+
+  if (file.settings !== undefined && (!file.settings || typeof file.settings !== "object")) {
+    throw new Error("Model settings are invalid");
+  }
+  for (const key of MODEL_SETTINGS_KEYS) {
+    const value = file.settings?.[key];
+    if (value !== undefined && !MODEL_SETTINGS_CHECKS[key](value)) {
+      throw new Error(`Invalid value for setting ${key}: ${JSON.stringify(value)}`);
+    }
+  }
+
+  const model = migrateModel({ ...file.model, schemaVersion: file.schemaVersion });
+  validateModel(model);
+  return model;
+}
+
+// Serialized Naive Bayes data with every token replaced by its hash
+function hashedModelData(data) {
+  if (data.hashTokens) return data;
+  const model = new TfIdfNaiveBayes();
+  model.deserialize(data);
+  model.hashKeys();
+  return model.serialize();
+}
+
+// Replace the current model with one from an export file
+async function importModelFile(file) {
+  const model = readModelFile(file);
+
+  const imported = createClassifier(model.backend);
+  imported.deserialize(model);
+
+  for (const key of MODEL_SETTINGS_KEYS) {
+    if (file.settings && file.settings[key] !== undefined) {
+      settings[key] = file.settings[key];
+    }
+  }
+  // The model itself decides backend, tokenizer and calibration, so a
+  // settings mismatch does not trigger a retrain that discards it
+  settings.classifierBackend = imported.backend;
+  settings.tokenizer = imported.tokenizer;
+  settings.calibrationMethod = imported.calibrationRequested;
+
+  classifier = imported;
+  await saveSettings();
+  await saveClassifierModel();
+  // Earlier merges were applied to the replaced model and can no longer be undone
+  await browser.storage.local.set({ modelMerges: [] });
+
+  console.log(`[Spam Guard] Imported ${imported.backend} model (${imported.totalDocuments} docs)`);
+  return imported.getInfo();
+}
+
+// ============================================
+// Model Merging
+// ============================================
+
+// Merged models are kept so a merge can be undone and is re-applied when
+// the local model is retrained. Only Naive Bayes models can be merged,
+// since their counts are additive.
+
+async function getModelMerges() {
+  const stored = await browser.storage.local.get("modelMerges");
+  return stored.modelMerges || [];
+}
+
+// Add a merged model's counts to a local model, switching the local model
+// to hashed tokens first if the merged one uses them
+function applyMerge(model, merge, weight) {
+  if (merge.model.hashTokens && !model.hashTokens) {
+    model.hashKeys();
+  }
+  const data = model.hashTokens ? hashedModelData(merge.model) : merge.model;
+  model.mergeCounts(data, weight);
+}
+
+// Merge a teammate's exported model into the local one
+async function mergeModelFile(file, weight, name) {
+  const model = readModelFile(file);
+
+  if (classifier.backend !== "naive_bayes" || model.backend !== "naive_bayes") {
+    throw new Error("Only Naive Bayes models can be merged");
+  }
+  if (model.tokenizer !== classifier.tokenizer) {
+    throw new Error(`Tokenizer mismatch: file uses ${model.tokenizer}, local model uses ${classifier.tokenizer}`);
+  }
+  if (!(weight > 0)) {
+    throw new Error("Merge weight must be greater than zero");
+  }
+
+  const merge = {
+    id: uniqueId(),
+    name: name || "Imported model",
+    weight,
+    mergedAt: new Date().toISOString(),
+    documentCount: model.totalDocuments,
+    // Whether the local model already used hashed tokens before this merge
+    hashedBefore: classifier.hashTokens,
+    model
+  };
+
+  // Merged counts are not pruned, so undoing the merge restores the model exactly
+  const merges = await getModelMerges();
+  merges.push(merge);
+  applyMerge(classifier, merge, weight);
+  calibrateClassifier(classifier, trainingData, merges);
+  await saveClassifierModel();
+  await browser.storage.local.set({ modelMerges: merges });
+
+  console.log(`[Spam Guard] Merged ${merge.name} (${model.totalDocuments} docs, weight ${weight})`);
+  return merge;
+}
+
+// Subtract a previously merged model again
+async function undoModelMerge(id) {
+  const merges = await getModelMerges();
+  const merge = merges.find(m => m.id === id);
+  if (!merge) {
+    throw new Error("Merge not found");
+  }
+
+  const remaining = merges.filter(m => m.id !== id);
+  await browser.storage.local.set({ modelMerges: remaining });
+
+  // Hashing tokens can't be reversed, so once no hashed merge is left a
+  // model that was readable before its first merge is rebuilt instead
+  const unhash = classifier.hashTokens && !merges[0].hashedBefore &&
+    !remaining.some(m => m.model.hashTokens);
+  if (unhash) {
+    await rebuildClassifier();
+  } else if (classifier.backend === "naive_bayes") {
+    applyMerge(classifier, merge, -merge.weight);
+    calibrateClassifier(classifier, trainingData, remaining);
+    await saveClassifierModel();
+  }
+
+  console.log(`[Spam Guard] Undid merge of ${merge.name}`);
+}
+
+// Re-apply recorded merges after a model was retrained. Merged counts are
+// never pruned, so each merge can still be subtracted exactly.
+function applyMerges(model, merges) {
+  if (model.backend !== "naive_bayes") return;
+
+  for (const merge of merges) {
+    if (merge.model.tokenizer === model.tokenizer) {
+      applyMerge(model, merge, merge.weight);
+    }
+  }
+}
+
+// ============================================
+// Feedback
+// ============================================
+
+// Feedback samples kept in trainingData; the oldest are dropped beyond this.
+// The classifier keeps what it learned from them until the next retrain.
+const MAX_FEEDBACK_SAMPLES = 500;
+
+// Identifies a message across folders; ids change when a message is moved
+function feedbackKey(message) {
+  return message.headerMessageId ||
+    `${message.author}|${message.subject}|${message.date ? new Date(message.date).toISOString() : ""}`;
+}
+
+// Learn from a Move or Safe decision on the results page, reading the message
+// the same way checkAndMoveMessage does. Repeating a verdict changes nothing
+// and a changed verdict replaces the earlier sample.
+async function recordFeedback(messageId, label) {
+  const message = await browser.messages.get(messageId);
+  if (!message) {
+    throw new Error("Message not found");
+  }
+
+  const key = feedbackKey(message);
+  const existingIndex = trainingData.findIndex(sample => sample.feedbackKey === key);
+  const existing = existingIndex === -1 ? null : trainingData[existingIndex];
+  if (existing?.label === label) {
+    return { changed: false };
+  }
+
+  const content = await getMessageContent(messageId);
+  const sample = {
+    label: label,
+    emailData: buildEmailData(message, content),
+    feedbackKey: key
+  };
+
+  // A sample that leaves the training data, replaced or dropped by the cap,
+  // is forgotten by retraining: a pruned model can't subtract it exactly
+  let retrain = false;
+  if (existing) {
+    trainingData.splice(existingIndex, 1);
+    retrain = true;
+  }
+  trainingData.push(sample);
+
+  const feedback = trainingData.filter(s => s.feedbackKey);
+  if (feedback.length > MAX_FEEDBACK_SAMPLES) {
+    const dropped = new Set(feedback.slice(0, feedback.length - MAX_FEEDBACK_SAMPLES));
+    trainingData = trainingData.filter(s => !dropped.has(s));
+    retrain = true;
+  }
+  await saveTrainingData();
+
+  if (retrain || !classifier.addSample(sample)) {
+    trainClassifier(classifier, trainingData, await getModelMerges());
+  }
+  await saveClassifierModel();
+
+  console.log(`[Spam Guard] Feedback ${label}${existing ? ` (was ${existing.label})` : ""}: ${message.subject}`);
+  return { changed: true, replaced: !!existing };
+}
+
+// ============================================
+// Action Journal
+// ============================================
+
+// Oldest entries are dropped beyond this
+const MAX_JOURNAL_ENTRIES = 1000;
+
+// Every move to the spam folder while logActions is on, newest last, so a
+// false positive can be put back where it came from
+async function getJournal() {
+  const stored = await browser.storage.local.get("actionJournal");
+  return stored.actionJournal || [];
+}
+
+async function saveJournal(journal) {
+  await browser.storage.local.set({ actionJournal: journal.slice(-MAX_JOURNAL_ENTRIES) });
+}
+
+// Messages Spam Guard moved to the spam folder, kept for the retention
+// policy whether or not logActions is on. Unlike the journal this is not
+// capped; a record goes when its message is moved back, purged, or found
+// gone once it has expired.
+async function getQuarantine() {
+  const stored = await browser.storage.local.get("quarantine");
+  return stored.quarantine || [];
+}
+
+// Changes to the journal and quarantine run one at a time, each on a freshly
+// read copy, so slow work before a change can't overwrite entries added in
+// the meantime
+let storedListUpdates = Promise.resolve();
+
+function updateStoredList(read, write, change) {
+  const update = storedListUpdates.then(async () => {
+    const list = await read();
+    change(list);
+    await write(list);
+  });
+  storedListUpdates = update.catch(() => {});
+  return update;
+}
+
+function updateJournal(change) {
+  return updateStoredList(getJournal, saveJournal, change);
+}
+
+function updateQuarantine(change) {
+  return updateStoredList(getQuarantine, quarantine => browser.storage.local.set({ quarantine }), change);
+}
+
+async function addJournalEntry(entry) {
+  await updateJournal(journal => journal.push(entry));
+}
+
+// Move a message and journal where it came from
+async function moveAndRecord(message, destination, record) {
+  const entry = {
+    id: uniqueId(),
+    time: new Date().toISOString(),
+    messageId: message.id,
+    headerMessageId: message.headerMessageId || null,
+    subject: message.subject || "",
+    author: message.author || "",
+    date: message.date ? new Date(message.date).toISOString() : null,
+    read: !!message.read,
+    from: { accountId: message.folder.accountId, path: message.folder.path },
+    to: { accountId: destination.accountId || message.folder.accountId, path: destination.path },
+    method: record.method,
+    probability: record.probability ?? null,
+    undoneAt: null
+  };
+
+  await browser.messages.move([message.id], destination);
+
+  await updateQuarantine(quarantine => quarantine.push(entry));
+  if (settings.logActions) {
+    await addJournalEntry(entry);
+  }
+}
+
+// Find a journaled message in the folder it was moved to. Ids change when a
+// message is moved, so look it up by Message-ID, or by sender, subject and date.
+async function findMovedMessage(entry) {
+  const inFolder = (message) =>
+    message.folder.accountId === entry.to.accountId && message.folder.path === entry.to.path;
+  const isEntry = (message) => entry.headerMessageId
+    ? message.headerMessageId === entry.headerMessageId
+    : message.author === entry.author && message.subject === entry.subject &&
+      (message.date ? new Date(message.date).toISOString() : null) === entry.date;
+
+  if (entry.headerMessageId && browser.messages.query) {
+    try {
+      const found = (await browser.messages.query({ headerMessageId: entry.headerMessageId })).messages.find(inFolder);
+      if (found) return found;
+    } catch (error) {
+      // Thunderbird before 85 can't query by Message-ID; scan the folder instead
+    }
+  }
+
+  let page = await browser.messages.list({ accountId: entry.to.accountId, path: entry.to.path });
+  while (page) {
+    const found = page.messages.find(isEntry);
+    if (found) return found;
+    page = page.id ? await browser.messages.continueList(page.id) : null;
+  }
+  return null;
+}
+
+// Move a journaled message back to its original folder and learn that it
+// isn't spam
+async function undoJournalEntry(id) {
+  const entry = (await getJournal()).find(e => e.id === id);
+  if (!entry) {
+    throw new Error("Journal entry not found");
+  }
+  if (entry.kind === "purge") {
+    throw new Error("Purges can't be undone");
+  }
+  if (entry.undoneAt) {
+    throw new Error("Already undone");
+  }
+  if (entry.purgedAt) {
+    throw new Error("Message was removed by the retention policy");
+  }
+
+  const message = await findMovedMessage(entry);
+  if (!message) {
+    throw new Error(`Message is no longer in ${entry.to.path}`);
+  }
+
+  // Learn from the message while it still has this id
+  try {
+    await recordFeedback(message.id, "ham");
+  } catch (error) {
+    console.error("[Spam Guard] Error recording feedback:", error);
+  }
+  await browser.messages.move([message.id], { accountId: entry.from.accountId, path: entry.from.path });
+
+  const undoneAt = new Date().toISOString();
+  await updateJournal(journal => {
+    const current = journal.find(e => e.id === id);
+    if (current) current.undoneAt = undoneAt;
+  });
+  await updateQuarantine(quarantine => {
+    const index = quarantine.findIndex(record => record.id === id);
+    if (index !== -1) quarantine.splice(index, 1);
+  });
+  console.log(`[Spam Guard] Moved back to ${entry.from.path}: ${entry.subject}`);
+}
+
+// ============================================
+// Retention
+// ============================================
+
+// Where each retention action leaves a purged message, as shown in the journal
+const RETENTION_DESTINATIONS = {
+  delete: "(deleted)",
+  trash: "Trash",
+  archive: "Archive"
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A user who read, flagged or tagged a quarantined message has looked at it,
+// so it is kept. Only messages unread when they were moved count as read since.
+function wasTouched(message, entry) {
+  return message.flagged ||
+         (message.tags && message.tags.length > 0) ||
+         (message.read && entry.read === false);
+}
+
+function checkRetentionDays(days) {
+  if (!(days > 0)) {
+    throw new Error("Retention period must be at least one day");
+  }
+}
+
+// Quarantined messages older than the retention period that are still
+// untouched in the folder they were moved to. Expired records whose message
+// is no longer there are returned as gone.
+async function findRetentionCandidates(quarantine, days) {
+  const cutoff = Date.now() - days * DAY_MS;
+  const candidates = [];
+  const gone = [];
+
+  for (const entry of quarantine) {
+    if (new Date(entry.time).getTime() > cutoff) continue;
+
+    try {
+      const message = await findMovedMessage(entry);
+      if (!message) {
+        gone.push(entry);
+      } else if (!wasTouched(message, entry)) {
+        candidates.push({ entry, message });
+      }
+    } catch (error) {
+      console.error(`[Spam Guard] Error looking up ${entry.subject}:`, error);
+    }
+  }
+
+  return { candidates, gone };
+}
+
+// What the retention policy would purge if it ran now
+async function previewRetention(days = settings.retentionDays) {
+  checkRetentionDays(days);
+  const { candidates } = await findRetentionCandidates(await getQuarantine(), days);
+  return candidates.map(({ entry }) => ({
+    subject: entry.subject,
+    author: entry.author,
+    movedAt: entry.time,
+    folder: entry.to.path,
+    method: entry.method
+  }));
+}
+
+// Delete, trash or archive expired quarantined messages and journal each one
+async function applyRetention(days = settings.retentionDays, action = settings.retentionAction) {
+  checkRetentionDays(days);
+  const { candidates, gone } = await findRetentionCandidates(await getQuarantine(), days);
+
+  const ids = candidates.map(({ message }) => message.id);
+  if (ids.length > 0) {
+    if (action === "archive") {
+      await browser.messages.archive(ids);
+    } else {
+      await browser.messages.delete(ids, action === "delete");
+    }
+  }
+
+  const purged = new Set(candidates.map(({ entry }) => entry.id));
+  const removed = new Set([...purged, ...gone.map(entry => entry.id)]);
+  if (removed.size > 0) {
+    await updateQuarantine(quarantine => {
+      const kept = quarantine.filter(record => !removed.has(record.id));
+      quarantine.splice(0, quarantine.length, ...kept);
+    });
+  }
+  if (candidates.length === 0) return { purged: 0 };
+
+  const now = new Date().toISOString();
+  const purges = candidates.map(({ entry, message }) => ({
+    id: uniqueId(),
+    kind: "purge",
+    time: now,
+    messageId: message.id,
+    headerMessageId: entry.headerMessageId,
+    subject: entry.subject,
+    author: entry.author,
+    date: entry.date,
+    from: entry.to,
+    to: { accountId: entry.to.accountId, path: RETENTION_DESTINATIONS[action] || RETENTION_DESTINATIONS.trash },
+    method: "retention",
+    probability: entry.probability,
+    undoneAt: null
+  }));
+  // Moves journaled earlier can no longer be undone whether or not
+  // logActions is on now, but the purges themselves are only logged with it
+  await updateJournal(journal => {
+    for (const entry of journal) {
+      if (purged.has(entry.id) && !entry.kind) entry.purgedAt = now;
+    }
+    if (settings.logActions) journal.push(...purges);
+  });
+
+  console.log(`[Spam Guard] Retention: ${action} ${candidates.length} messages older than ${days} days`);
+  return { purged: candidates.length };
+}
+
+// ============================================
+// Alarms
+// ============================================
+
+// Minutes between runs for each scan schedule interval; "custom" sets its own
+const SCAN_INTERVALS = {
+  hourly: 60,
+  daily: 24 * 60
+};
+
+const MIN_SCAN_INTERVAL = 5;
+
+// Clicking a scheduled scan's notification opens the results
+const SCHEDULED_SCAN_NOTIFICATION = "scheduled-scan";
+
+function scheduleMinutes(schedule) {
+  const minutes = schedule.interval === "custom" ? schedule.minutes : SCAN_INTERVALS[schedule.interval];
+  return Math.max(minutes || SCAN_INTERVALS.daily, MIN_SCAN_INTERVAL);
+}
+
+// Schedule periodic jobs to match the settings. Alarms don't survive a
+// restart, so this also runs at startup, and the first runs come a few
+// minutes later to catch up on mail that arrived while Thunderbird was closed.
+async function setupAlarms() {
+  if (settings.retentionEnabled) {
+    browser.alarms.create("retention", { delayInMinutes: 5, periodInMinutes: 24 * 60 });
+  } else {
+    await browser.alarms.clear("retention");
+  }
+
+  // One alarm per scan schedule, named after its id
+  for (const alarm of await browser.alarms.getAll()) {
+    if (alarm.name.startsWith("scan:")) {
+      await browser.alarms.clear(alarm.name);
+    }
+  }
+  for (const schedule of settings.scanSchedules || []) {
+    if (schedule.enabled) {
+      const minutes = scheduleMinutes(schedule);
+      browser.alarms.create(`scan:${schedule.id}`, {
+        delayInMinutes: Math.min(minutes, 5),
+        periodInMinutes: minutes
+      });
+    }
+  }
+}
+
+// Scan a schedule's account and folders and report the result in a
+// notification rather than opening the results tab. Findings are added to
+// the results page, so a scan that finds nothing leaves it as it was.
+async function runScheduledScan(schedule) {
+  const name = schedule.name || "Scheduled scan";
+  if (scanProgress.isScanning) {
+    console.log(`[Spam Guard] Skipping ${name}: a scan is already running`);
+    return;
+  }
+
+  const result = await scanAllAccountsWithML(schedule.daysRange, schedule.accountId || null, schedule.folders, true);
+  console.log(`[Spam Guard] ${name}: ${result.predictions.length} spam in ${result.scanned} messages`);
+
+  if (result.predictions.length > 0) {
+    showNotification(`Spam Guard: ${name}`,
+      `Found ${result.predictions.length} possible spam in ${result.scanned} messages. Click to review.`,
+      SCHEDULED_SCAN_NOTIFICATION);
+  }
+}
+
+async function handleAlarm(alarm) {
+  try {
+    switch (alarm.name) {
+      case "retention":
+        if (settings.retentionEnabled) {
+          await applyRetention();
+        }
+        break;
+
+      default:
+        if (alarm.name.startsWith("scan:")) {
+          const schedule = (settings.scanSchedules || []).find(s => `scan:${s.id}` === alarm.name);
+          if (schedule?.enabled) {
+            await runScheduledScan(schedule);
+          }
+        }
+    }
+  } catch (error) {
+    console.error(`[Spam Guard] Error running ${alarm.name}:`, error);
+  }
+}
+
+// ============================================
+// Correspondents
+// ============================================
+
+// Everyone we've written to, and the Message-IDs of what we sent, learned
+// from sent folders and kept current as mail is sent. Mail from these
+// addresses, or replying to our messages, is never moved automatically.
+const MAX_SENT_MESSAGE_IDS = 5000;
+const MAX_SENT_MESSAGES_SCANNED = 2000;  // Per folder, when building the index
+
+let correspondentAddresses = new Set();
+let sentMessageIds = new Set();
+
+async function loadCorrespondents() {
+  const stored = await browser.storage.local.get("correspondents");
+  if (!stored.correspondents) return false;
+  correspondentAddresses = new Set(stored.correspondents.addresses);
+  sentMessageIds = new Set(stored.correspondents.messageIds);
+  return true;
+}
+
+async function saveCorrespondents() {
+  // Keep the most recent Message-IDs; Sets iterate in insertion order
+  const messageIds = Array.from(sentMessageIds).slice(-MAX_SENT_MESSAGE_IDS);
+  sentMessageIds = new Set(messageIds);
+  await browser.storage.local.set({
+    correspondents: { addresses: Array.from(correspondentAddresses), messageIds }
+  });
+}
+
+// Record one sent message from its recipient lists and Message-ID
+function addSentMessage(recipients, headerMessageId) {
+  for (const recipient of recipients) {
+    const email = parseSender(recipient).email.toLowerCase();
+    if (email) correspondentAddresses.add(email);
+  }
+  if (headerMessageId) sentMessageIds.add(headerMessageId);
+}
+
+async function findSentFolders() {
+  const sentFolders = [];
+  const accounts = await browser.accounts.list();
+
+  for (const account of accounts) {
+    for (const folder of account.folders) {
+      if (folder.type === "sent") {
+        sentFolders.push({ ...folder, accountId: account.id });
+      }
+    }
+  }
+
+  return sentFolders;
+}
+
+// Rebuild the index from every account's sent folder
+async function buildCorrespondentIndex() {
+  correspondentAddresses = new Set();
+  sentMessageIds = new Set();
+
+  for (const folder of await findSentFolders()) {
+    try {
+      let page = await browser.messages.list(folder);
+      let count = 0;
+      while (page && count < MAX_SENT_MESSAGES_SCANNED) {
+        for (const message of page.messages) {
+          addSentMessage(
+            [...(message.recipients || []), ...(message.ccList || []), ...(message.bccList || [])],
+            message.headerMessageId
+          );
+          count++;
+        }
+        page = page.id && count < MAX_SENT_MESSAGES_SCANNED
+          ? await browser.messages.continueList(page.id)
+          : null;
+      }
+    } catch (error) {
+      console.error(`[Spam Guard] Error reading sent folder ${folder.path}:`, error);
+    }
+  }
+
+  await saveCorrespondents();
+  console.log(`[Spam Guard] Correspondent index: ${correspondentAddresses.size} addresses, ${sentMessageIds.size} sent messages`);
+}
+
+// Message-IDs named by In-Reply-To and References
+function referencedMessageIds(headers) {
+  const ids = [];
+  for (const name of ["in-reply-to", "references"]) {
+    for (const value of headers[name] || []) {
+      for (const [, id] of value.matchAll(/<([^>]+)>/g)) ids.push(id);
+    }
+  }
+  return ids;
+}
+
+// Why a message is exempt from auto-move as a known correspondent, or null
+function correspondentExemption(senderEmail, headers) {
+  if (settings.trustCorrespondents === false) return null;
+  if (correspondentAddresses.has((senderEmail || "").toLowerCase())) {
+    return "Known correspondent";
+  }
+  if (referencedMessageIds(headers).some(id => sentMessageIds.has(id))) {
+    return "Reply to your message";
+  }
+  return null;
+}
+
+// compose.onBeforeSend gives the recipients of everything we send;
+// compose.onAfterSend (Thunderbird 106) confirms the send and adds the
+// Message-ID that replies will reference. Where onAfterSend exists,
+// recipients are held per compose tab until it reports success, so a
+// failed or cancelled send records nothing.
+function setupSentMailListener() {
+  const pendingRecipients = new Map();  // compose tab id -> recipients
+
+  // Not async: onBeforeSend holds the send until its listeners return
+  browser.compose.onBeforeSend.addListener((tab, details) => {
+    const recipients = [details.to, details.cc, details.bcc]
+      .flat()
+      .filter(recipient => typeof recipient === "string");
+    if (browser.compose.onAfterSend) {
+      pendingRecipients.set(tab.id, recipients);
+      return;
+    }
+    addSentMessage(recipients, null);
+    saveCorrespondents().catch(error => {
+      console.error("[Spam Guard] Failed to save correspondents:", error);
+    });
+  });
+
+  if (browser.compose.onAfterSend) {
+    browser.compose.onAfterSend.addListener(async (tab, sendInfo) => {
+      const recipients = pendingRecipients.get(tab.id) || [];
+      pendingRecipients.delete(tab.id);
+      if (sendInfo.error) return;
+      addSentMessage(recipients, sendInfo.headerMessageId || null);
+      await saveCorrespondents();
+    });
+  }
+}
+
+// ============================================
+// Blocklists
+// ============================================
+
+// Imported lists of known-bad domains and URL patterns, stored under the
+// "blocklists" key as [{ id, name, enabled, importedAt, domains, urlPatterns }].
+// The enabled lists are indexed in memory for lookups.
+let blocklistDomains = new Map();  // domain -> list name
+let blocklistUrlPatterns = [];  // [{ regex, pattern, list }]
+
+const HOSTS_ADDRESSES = new Set(["0.0.0.0", "127.0.0.1", "::", "::1"]);
+const HOSTS_IGNORED = new Set(["localhost", "localhost.localdomain", "local", "broadcasthost", "0.0.0.0"]);
+const DOMAIN_PATTERN = /^(?:[a-z0-9-]+\.)+[a-z0-9-]{2,}$/;
+
+// Parse a hosts file ("0.0.0.0 bad.example") or a plain list with one
+// domain or URL pattern per line. "#" and "!" start comments. URL patterns
+// contain a "/" and may use * wildcards; without one they match as prefixes.
+function parseBlocklist(text) {
+  const domains = new Set();
+  const urlPatterns = new Set();
+
+  for (let line of text.split(/\r?\n/)) {
+    line = line.replace(/\s#.*$/, "").trim().toLowerCase();
+    if (!line || line.startsWith("#") || line.startsWith("!")) continue;
+
+    const fields = line.split(/\s+/);
+    const entries = HOSTS_ADDRESSES.has(fields[0]) ? fields.slice(1) : fields;
+
+    for (let entry of entries) {
+      entry = entry.replace(/^[a-z]+:\/\//, "");
+      if (entry.includes("/")) {
+        urlPatterns.add(entry);
+        continue;
+      }
+      entry = entry.replace(/^\*?\./, "");
+      if (!HOSTS_IGNORED.has(entry) && DOMAIN_PATTERN.test(entry)) {
+        domains.add(entry);
+      }
+    }
+  }
+
+  return { domains: Array.from(domains), urlPatterns: Array.from(urlPatterns) };
+}
+
+async function getBlocklists() {
+  const stored = await browser.storage.local.get("blocklists");
+  return stored.blocklists || [];
+}
+
+async function loadBlocklists() {
+  blocklistDomains = new Map();
+  blocklistUrlPatterns = [];
+
+  for (const list of await getBlocklists()) {
+    if (!list.enabled) continue;
+    for (const domain of list.domains) {
+      blocklistDomains.set(domain, list.name);
+    }
+    for (const pattern of list.urlPatterns) {
+      const regex = new RegExp("^(www\\.)?" + pattern.split("*").map(escapeRegExp).join(".*"));
+      blocklistUrlPatterns.push({ regex, pattern, list: list.name });
+    }
+  }
+}
+
+async function importBlocklist(name, text) {
+  const parsed = parseBlocklist(text);
+  if (parsed.domains.length === 0 && parsed.urlPatterns.length === 0) {
+    throw new Error("No domains or URL patterns found in the file");
+  }
+
+  const list = {
+    id: uniqueId(),
+    name: name || "Blocklist",
+    enabled: true,
+    importedAt: new Date().toISOString(),
+    ...parsed
+  };
+
+  const lists = await getBlocklists();
+  lists.push(list);
+  await browser.storage.local.set({ blocklists: lists });
+  await loadBlocklists();
+
+  console.log(`[Spam Guard] Imported blocklist ${list.name}: ${parsed.domains.length} domains, ${parsed.urlPatterns.length} URL patterns`);
+  return list;
+}
+
+async function updateBlocklists(update) {
+  await browser.storage.local.set({ blocklists: update(await getBlocklists()) });
+  await loadBlocklists();
+}
+
+// The list naming a host or one of its parent domains
+function blocklistForHost(host) {
+  const labels = (host || "").toLowerCase().replace(/\.$/, "").split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    const list = blocklistDomains.get(labels.slice(i).join("."));
+    if (list) return list;
+  }
+  return null;
+}
+
+// The first blocklist hit among the sender, Reply-To and link hosts, as
+// { where, value, list }, or null
+function checkBlocklists(emailData, headers) {
+  if (blocklistDomains.size === 0 && blocklistUrlPatterns.length === 0) return null;
+
+  const senderDomain = emailData.senderEmail.split("@")[1];
+  const senderList = blocklistForHost(senderDomain);
+  if (senderList) return { where: "Sender domain", value: senderDomain, list: senderList };
+
+  for (const replyTo of headers["reply-to"] || []) {
+    const domain = parseSender(replyTo).email.split("@")[1];
+    const list = blocklistForHost(domain);
+    if (list) return { where: "Reply-To domain", value: domain, list };
+  }
+
+  for (const link of emailData.links || []) {
+    let url;
+    try {
+      url = new URL(link.href);
+    } catch (e) {
+      continue;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") continue;
+
+    const hostList = blocklistForHost(url.hostname);
+    if (hostList) return { where: "Link host", value: url.hostname, list: hostList };
+
+    const target = (url.hostname + url.pathname + url.search).toLowerCase();
+    const hit = blocklistUrlPatterns.find(p => p.regex.test(target));
+    if (hit) return { where: "Link", value: hit.pattern, list: hit.list };
+  }
+
+  return null;
+}
+
+// ============================================
+// User Rules
+// ============================================
+
+// Rules from settings.userRules, e.g.
+//   { id, name, enabled, priority: 10, match: "all",
+//     conditions: [{ field: "subject", operator: "matches", value: "invoice" },
+//                  { field: "sender_domain", operator: "not_equals", value: "company.com" }],
+//     action: { type: "score", probability: 0.9 } }
+// Rules run from the highest priority down. "allow", "spam" and "score"
+// decide the message and stop evaluation; "skip_ml" only turns the
+// classifier off and lets lower rules run.
+
+// The strings a condition's field refers to
+function ruleFieldValues(condition, message, emailData, headers) {
+  switch (condition.field) {
+    case "header":
+      return headers[(condition.header || "").toLowerCase()] || [];
+    case "sender":
+      return [emailData.senderEmail];
+    case "sender_domain":
+      return [emailData.senderEmail.split("@")[1] || ""];
+    case "subject":
+      return [emailData.subject];
+    case "body":
+      return [emailData.body];
+    case "attachment":
+      return emailData.attachments.flatMap(a => [a.name, a.contentType]);
+    case "folder":
+      return message.folder ? [message.folder.path, message.folder.name] : [];
+    default:
+      return [];
+  }
+}
+
+function testRuleValue(operator, expected, value) {
+  value = value || "";
+  expected = expected || "";
+  switch (operator) {
+    case "contains":
+      return value.toLowerCase().includes(expected.toLowerCase());
+    case "equals":
+      return value.toLowerCase() === expected.toLowerCase();
+    case "matches":
+      // The pattern is used as written; lower-casing it would change
+      // escapes such as \S or \D
+      try {
+        return new RegExp(expected, "i").test(value);
+      } catch (e) {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+// Negated operators hold when no value passes the positive test, so
+// "attachment not_contains .exe" means no attachment has .exe
+function testRuleCondition(condition, message, emailData, headers) {
+  const negated = condition.operator.startsWith("not_");
+  const operator = negated ? condition.operator.slice(4) : condition.operator;
+  const values = ruleFieldValues(condition, message, emailData, headers);
+  const found = values.some(value => testRuleValue(operator, condition.value, value));
+  return negated ? !found : found;
+}
+
+function ruleMatches(rule, message, emailData, headers) {
+  const conditions = rule.conditions || [];
+  if (conditions.length === 0) return false;
+  const test = condition => testRuleCondition(condition, message, emailData, headers);
+  return rule.match === "any" ? conditions.some(test) : conditions.every(test);
+}
+
+// The deciding rule, if any, and whether a skip_ml rule fired on the way
+function evaluateUserRules(message, emailData, headers) {
+  const rules = (settings.userRules || [])
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  let skipMl = null;
+  for (const rule of rules) {
+    if (!ruleMatches(rule, message, emailData, headers)) continue;
+    if (rule.action.type === "skip_ml") {
+      skipMl = skipMl || rule;
+      continue;
+    }
+    return { rule, skipMl };
+  }
+  return { rule: null, skipMl };
+}
+
+// ============================================
+// Message Processing
+// ============================================
+
+// Score extracted by a numeric header rule, or null if there is none
+function extractHeaderScore(value, extract) {
+  if (extract === "stars") {
+    return (value.match(/\*/g) || []).length;
+  }
+  const match = extract === "scl"
+    ? value.match(/\bSCL:\s*(-?\d+)/i)
+    : value.match(/-?\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const score = parseFloat(match[1] ?? match[0]);
+  return isNaN(score) ? null : score;
+}
+
+// Probability one rule assigns to one header value, or null if it doesn't match
+function applyHeaderRule(rule, value) {
+  switch (rule.match) {
+    case "contains":
+      return value.toUpperCase().includes(String(rule.value).toUpperCase()) ? rule.probability : null;
+
+    case "regex":
+      try {
+        return new RegExp(rule.value, "i").test(value) ? rule.probability : null;
+      } catch (e) {
+        console.warn(`[Spam Guard] Invalid header rule pattern: ${rule.value}`);
+        return null;
+      }
+
+    case "numeric": {
+      const score = extractHeaderScore(value, rule.extract);
+      if (score === null || score <= rule.low || rule.high <= rule.low) return null;
+      return Math.min(Math.max((score - rule.low) / (rule.high - rule.low), 0), 1);
+    }
+
+    default:
+      return null;
+  }
+}
+
+// The highest probability any rule assigns, with the rule and header
+// value responsible, or null when no rule matches
+function evaluateHeaderRules(headers, rules) {
+  let best = null;
+  for (const rule of rules || []) {
+    for (const value of headers[rule.header.toLowerCase()] || []) {
+      const probability = applyHeaderRule(rule, value);
+      if (probability !== null && (!best || probability > best.probability)) {
+        best = { probability, rule, value };
+      }
+    }
+  }
+  return best;
+}
+
+// Received chain analysis. Each relay prepends a Received header, so the
+// list runs from our own server (first) back to the origin (last), e.g.
+//   from mail.example.com (mail.example.com [203.0.113.5])
+//     by mx.example.net with ESMTPS id abc; Tue, 14 Oct 2025 10:00:00 -0700
+const RECEIVED_FROM = /^\s*from\s+(\S+)(?:\s+\((?:([^\s()[\]]+)\s*)?\[(?:IPv6:)?([0-9a-f.:]+)\])?/i;
+
+// Relays may disagree by a few minutes; more than this is out of order
+const RECEIVED_CLOCK_TOLERANCE = 15 * 60 * 1000;
+
+function isPrivateIp(ip) {
+  if (ip.includes(":")) {
+    return /^(::1$|f[cd]|fe[89ab])/i.test(ip);
+  }
+  const [a, b] = ip.split(".").map(Number);
+  return a === 10 || a === 127 || (a === 169 && b === 254) ||
+         (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+}
+
+// Second-level labels that country-code domains register names under,
+// as in example.co.uk, example.com.au or example.ne.jp
+const COUNTRY_SECOND_LEVELS = new Set([
+  "ac", "co", "com", "ed", "edu", "go", "gob", "gov", "gr", "lg", "ltd",
+  "mil", "ne", "net", "nic", "nom", "or", "org", "plc", "sch"
+]);
+
+// Registrable part of a host name, e.g. mail.example.com -> example.com
+// and mail.example.co.uk -> example.co.uk
+function baseDomain(host) {
+  const labels = host.toLowerCase().split(".");
+  const [second, top] = labels.slice(-2);
+  const suffixLength = top?.length === 2 && COUNTRY_SECOND_LEVELS.has(second) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join(".");
+}
+
+function parseReceived(value) {
+  const from = value.match(RECEIVED_FROM);
+  const semicolon = value.lastIndexOf(";");
+  const time = semicolon >= 0 ? Date.parse(value.slice(semicolon + 1).replace(/\(.*\)/, "").trim()) : NaN;
+  return {
+    helo: from ? from[1].replace(/^\[|\]$/g, "") : "",
+    rdns: from && from[2] ? from[2] : "",
+    ip: from && from[3] ? from[3] : "",
+    time: isNaN(time) ? null : time
+  };
+}
+
+// Structured findings about a message's routing: how many hops it took,
+// how far the Date header is from the first hop's timestamp, relays from
+// private addresses past the originating hop, HELO names that don't match
+// the relay's reverse DNS, and timestamps that run backwards.
+function analyzeReceivedChain(headers) {
+  const hops = (headers["received"] || []).map(parseReceived);
+  const findings = {
+    hops: hops.length,
+    dateSkewHours: null,
+    privateRelays: 0,
+    heloMismatches: 0,
+    outOfOrder: false
+  };
+
+  hops.forEach((hop, i) => {
+    // The originating hop is the sender's own machine, often on a LAN
+    const origin = i === hops.length - 1;
+    if (hop.ip && !origin && isPrivateIp(hop.ip)) findings.privateRelays++;
+
+    const heloIsName = /[a-z]/i.test(hop.helo) && hop.helo.includes(".");
+    if (heloIsName && hop.rdns && hop.rdns !== "unknown" &&
+        baseDomain(hop.helo) !== baseDomain(hop.rdns)) {
+      findings.heloMismatches++;
+    }
+  });
+
+  const times = hops.map(hop => hop.time).filter(time => time !== null);
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1] + RECEIVED_CLOCK_TOLERANCE) findings.outOfOrder = true;
+  }
+
+  const date = headers["date"] ? Date.parse(headers["date"][0].replace(/\(.*\)/, "").trim()) : NaN;
+  if (times.length > 0 && !isNaN(date)) {
+    const firstHop = times[times.length - 1];
+    findings.dateSkewHours = Math.round(Math.abs(firstHop - date) / 36e5 * 10) / 10;
+  }
+
+  return findings;
+}
+
+// Sender authentication: SPF, DKIM and DMARC verdicts recorded by the
+// receiving servers. The topmost Authentication-Results header comes from
+// our own provider, so the first source that mentions a method wins; ARC
+// results and Received-SPF fill in what it leaves out.
+const AUTH_METHODS = ["spf", "dkim", "dmarc"];
+
+const AUTH_HEADERS = ["authentication-results", "arc-authentication-results"];
+
+// Reduce RFC 8601 result values to pass, fail or none
+function authVerdict(result) {
+  result = result.toLowerCase();
+  if (result === "pass") return "pass";
+  if (result === "fail" || result === "softfail" || result === "permerror") return "fail";
+  return "none";
+}
+
+function parseAuthResults(headers) {
+  const auth = {};
+
+  for (const name of AUTH_HEADERS) {
+    for (const value of headers[name] || []) {
+      const found = {};
+      for (const [, method, result] of value.matchAll(/\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi)) {
+        const key = method.toLowerCase();
+        const verdict = authVerdict(result);
+        // A message can carry several DKIM signatures; one passing is enough
+        if (!found[key] || verdict === "pass" || (verdict === "fail" && found[key] === "none")) {
+          found[key] = verdict;
+        }
+      }
+      for (const method of AUTH_METHODS) {
+        if (!auth[method] && found[method]) auth[method] = found[method];
+      }
+    }
+  }
+
+  if (!auth.spf && headers["received-spf"]) {
+    const result = headers["received-spf"][0].trim().split(/[\s;(]/)[0];
+    auth.spf = authVerdict(result);
+  }
 
-    // Train classifier
-    trainingProgress.status = "Training classifier...";
-    trainingData = allTrainingData;
-    classifier.train(trainingData);
+  return Object.fromEntries(AUTH_METHODS.map(method => [method, auth[method] || "none"]));
+}
 
-    // Save
-    await saveTrainingData();
-    await saveClassifierModel();
+// Brands commonly named in phishing display names
+const IMPERSONATED_BRANDS = [
+  "amazon", "apple", "dhl", "docusign", "dropbox", "facebook", "fedex", "google",
+  "instagram", "linkedin", "microsoft", "netflix", "paypal", "ups", "wellsfargo"
+];
 
-    trainingProgress.status = "Complete!";
-    trainingProgress.isTraining = false;
+// The brand or domain a display name claims to be when the sender address
+// belongs to someone else, e.g. "PayPal Support" <alert@secure-pp.top>
+function findImpersonation(emailData) {
+  const name = (emailData.senderName || "").toLowerCase();
+  const domain = (emailData.senderEmail.split("@")[1] || "").toLowerCase();
+  if (!name || !domain) return null;
 
-    console.log(`[Spam Guard] Training complete: ${spamSamples.length} spam, ${hamSamples.length} ham`);
+  const claimed = name.match(/\b((?:[a-z0-9-]+\.)+[a-z]{2,})\b/);
+  if (claimed && !sameSite(claimed[1].replace(/^www\./, ""), domain)) {
+    return claimed[1];
+  }
 
-    return {
-      success: true,
-      spamCount: spamSamples.length,
-      hamCount: hamSamples.length
-    };
+  const words = name.split(/[^a-z0-9]+/);
+  const compact = domain.replace(/[^a-z0-9]/g, "");
+  return IMPERSONATED_BRANDS.find(brand => words.includes(brand) && !compact.includes(brand)) || null;
+}
 
-  } catch (error) {
-    console.error("[Spam Guard] Training error:", error);
-    trainingProgress.status = "Error: " + error.message;
-    trainingProgress.isTraining = false;
-    return { success: false, error: error.message };
+// Sender allow and block lists. An entry is an exact address
+// (bob@example.com), a domain that also covers its subdomains
+// (example.com or @example.com), or a wildcard pattern (*@*.example.*).
+// When both lists match, the more specific entry wins and ties go to the
+// allow list, so a blocked domain can still let one address through.
+function senderPatternSpecificity(email, pattern) {
+  pattern = pattern.trim().toLowerCase();
+  if (!pattern) return 0;
+
+  if (pattern.includes("*")) {
+    const regex = new RegExp("^" + pattern.split("*").map(escapeRegExp).join(".*") + "$");
+    return regex.test(email) ? 1 : 0;
+  }
+  if (pattern.includes("@") && !pattern.startsWith("@")) {
+    return email === pattern ? 3 : 0;
   }
-}
 
-// Default training data as fallback
-function getDefaultTrainingData() {
-  return [
-    { label: "spam", emailData: { senderName: "Prize Winner", senderEmail: "winner@lottery.com", subject: "Congratulations! You've won!", body: "Click here to claim your free prize iPhone lottery winner" }},
-    { label: "spam", emailData: { senderName: "Security Alert", senderEmail: "security@fake-bank.com", subject: "URGENT: Account compromised", body: "Verify your password immediately suspicious activity detected" }},
-    { label: "spam", emailData: { senderName: "Make Money", senderEmail: "rich@fastcash.net", subject: "Earn $5000 per week!", body: "Work from home make money fast easy income opportunity" }},
-    { label: "spam", emailData: { senderName: "Special Offer", senderEmail: "deals@discount-store.com", subject: "90% OFF Limited time!", body: "Buy now limited offer discount sale cheap prices" }},
-    { label: "spam", emailData: { senderName: "Pharmacy", senderEmail: "meds@online-pharmacy.biz", subject: "Best prices on medications", body: "viagra cialis prescription drugs cheap online pharmacy" }},
-    { label: "spam", emailData: { senderName: "中奖通知", senderEmail: "prize@lucky88.cn", subject: "恭喜您中奖了！", body: "点击领取奖品 免费赠送 立即获取 限时优惠" }},
-    { label: "spam", emailData: { senderName: "贷款服务", senderEmail: "loan@fastmoney.cn", subject: "快速贷款审批", body: "无需抵押 当天放款 低息贷款 快速审批" }},
-    { label: "ham", emailData: { senderName: "John Smith", senderEmail: "john.smith@company.com", subject: "Meeting tomorrow", body: "Hi, just wanted to follow up on our meeting. Can we schedule a call?" }},
-    { label: "ham", emailData: { senderName: "HR Department", senderEmail: "hr@company.com", subject: "Quarterly report", body: "Please find attached the quarterly report for your review." }},
-    { label: "ham", emailData: { senderName: "Amazon", senderEmail: "shipping@amazon.com", subject: "Your order has shipped", body: "Thank you for your order. Your package will arrive in 3-5 business days." }},
-    { label: "ham", emailData: { senderName: "Team Lead", senderEmail: "lead@company.com", subject: "Team meeting reminder", body: "Reminder: Team meeting tomorrow at 10am in conference room B." }},
-    { label: "ham", emailData: { senderName: "Project Manager", senderEmail: "pm@company.com", subject: "Project update", body: "The project deadline has been extended to next Friday. Please review the attached timeline." }},
-    { label: "ham", emailData: { senderName: "张经理", senderEmail: "zhang@company.cn", subject: "工作报告", body: "您好，附件是本月的工作报告，请查收。" }},
-    { label: "ham", emailData: { senderName: "会议通知", senderEmail: "admin@company.cn", subject: "明天会议", body: "会议通知：明天上午10点在会议室开会，请准时参加。" }}
-  ];
+  const domain = pattern.replace(/^@/, "");
+  const emailDomain = email.split("@")[1] || "";
+  return emailDomain === domain || emailDomain.endsWith(`.${domain}`) ? 2 : 0;
 }
 
-// ============================================
-// Message Processing
-// ============================================
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
 
-// Get message headers
-async function getMessageHeaders(messageId) {
-  try {
-    const messagePart = await browser.messages.getFull(messageId);
-    return messagePart.headers || {};
-  } catch (error) {
-    console.error("[Spam Guard] Error getting headers:", error);
-    return {};
+// The list entry that decides this sender, as { list, pattern }, or null
+function matchSenderLists(email) {
+  email = (email || "").toLowerCase();
+  if (!email) return null;
+
+  let best = null;
+  let bestSpecificity = 0;
+  for (const list of ["allow", "block"]) {
+    const patterns = list === "allow" ? settings.senderAllowList : settings.senderBlockList;
+    for (const pattern of patterns || []) {
+      const specificity = senderPatternSpecificity(email, pattern);
+      if (specificity > bestSpecificity) {
+        best = { list, pattern };
+        bestSpecificity = specificity;
+      }
+    }
   }
+  return best;
 }
 
-// Check if message has spam header
-function hasSpamHeader(headers) {
-  for (const check of SPAM_HEADERS) {
-    const headerValue = headers[check.header];
-    if (headerValue) {
-      for (const value of headerValue) {
-        if (value.toUpperCase().includes(check.value.toUpperCase())) {
-          return true;
+// Addresses of everyone in the user's address books, trusted like allow
+// list entries when trustAddressBook is on
+let addressBookEmails = new Set();
+
+async function loadAddressBookEmails() {
+  try {
+    const emails = new Set();
+    for (const book of await browser.addressBooks.list(true)) {
+      for (const contact of book.contacts || []) {
+        for (const key of ["PrimaryEmail", "SecondEmail"]) {
+          const email = contact.properties?.[key];
+          if (email) emails.add(email.trim().toLowerCase());
         }
       }
     }
+    addressBookEmails = emails;
+    console.log(`[Spam Guard] Loaded ${emails.size} address book contacts`);
+  } catch (error) {
+    console.error("[Spam Guard] Error loading address books:", error);
+  }
+}
+
+function isAddressBookContact(email) {
+  return settings.trustAddressBook !== false && addressBookEmails.has((email || "").toLowerCase());
+}
+
+// Add an entry to one list, taking it off the other
+function addSenderRule(list, pattern) {
+  pattern = pattern.trim().toLowerCase();
+  const [key, otherKey] = list === "allow"
+    ? ["senderAllowList", "senderBlockList"]
+    : ["senderBlockList", "senderAllowList"];
+
+  settings[otherKey] = (settings[otherKey] || []).filter(p => p !== pattern);
+  if (!(settings[key] || []).includes(pattern)) {
+    settings[key] = [...(settings[key] || []), pattern];
   }
-  return false;
 }
 
 // Find spam folder for an account
@@ -671,13 +3291,88 @@ async function findSpamFolder(accountId) {
 }
 
 // Show notification
-function showNotification(title, message) {
-  browser.notifications.create({
+function showNotification(title, message, notificationId) {
+  const options = {
     type: "basic",
     title: title,
     message: message,
     iconUrl: "icons/icon-48.png"
-  });
+  };
+  if (notificationId) {
+    browser.notifications.create(notificationId, options);
+  } else {
+    browser.notifications.create(options);
+  }
+}
+
+// Move a message to its account's spam folder
+async function moveToSpam(message, title, detail, record) {
+  const spamFolder = await findSpamFolder(message.folder.accountId);
+  if (!spamFolder || message.folder.path === spamFolder.path) return;
+
+  await moveAndRecord(message, spamFolder, record);
+  stats.movedCount++;
+  await saveStats();
+
+  // Show notification if enabled
+  if (settings.notifyOnMove) {
+    showNotification(title, `Moved: ${message.subject || "(No subject)"}${detail ? `\n${detail}` : ""}`);
+  }
+}
+
+// Graded probabilities are kept this far from 0 and 1 so that no single
+// signal can outvote all of the others on its own
+const SIGNAL_PROBABILITY_LIMIT = 0.001;
+
+// A header's verdict comes from someone else's filter, so it may argue for
+// the message but never by more than this, which a confident classifier outweighs
+const HEADER_PROBABILITY_FLOOR = 0.1;
+
+// Notification titles for each signal
+const SIGNAL_TITLES = {
+  sender_block: "Blocked Sender",
+  rule: "Rule",
+  blocklist: "Blocklist",
+  header: "Header",
+  auth: "Authentication",
+  attachment: "Attachment",
+  ml: "ML"
+};
+
+function signalWeight(name) {
+  const weight = settings.signalWeights?.[name];
+  return typeof weight === "number" && weight >= 0 ? weight : 1;
+}
+
+// Combine detector signals into one spam probability. Each signal adds its
+// weighted log-odds, so agreeing signals reinforce each other and a confident
+// ham verdict can cancel a weak spam one. A signal at probability 1 is certain
+// and decides on its own; a weight of 0 turns a signal off. Only signals
+// that pushed toward spam are returned as contributing, strongest first.
+function combineSignals(signals) {
+  for (const signal of signals) {
+    if (signal.weight === 0 || signal.probability >= 1) {
+      signal.logOdds = signal.weight === 0 ? 0 : null;
+      continue;
+    }
+    const p = Math.min(Math.max(signal.probability, SIGNAL_PROBABILITY_LIMIT), 1 - SIGNAL_PROBABILITY_LIMIT);
+    signal.logOdds = signal.weight * Math.log(p / (1 - p));
+  }
+
+  const active = signals.filter(signal => signal.weight > 0);
+  const certain = active.filter(signal => signal.logOdds === null);
+  if (certain.length > 0) {
+    return { probability: 1.0, contributing: certain };
+  }
+  if (active.length === 0) {
+    return { probability: 0, contributing: [] };
+  }
+
+  const logOdds = active.reduce((sum, signal) => sum + signal.logOdds, 0);
+  return {
+    probability: 1 / (1 + Math.exp(-logOdds)),
+    contributing: active.filter(signal => signal.logOdds > 0).sort((a, b) => b.logOdds - a.logOdds)
+  };
 }
 
 // Check message and optionally move
@@ -686,85 +3381,113 @@ async function checkAndMoveMessage(message, collectOnly = false) {
 
   try {
     stats.scannedCount++;
-    const headers = await getMessageHeaders(message.id);
-
-    // Check header first
-    if (hasSpamHeader(headers)) {
-      console.log(`[Spam Guard] Header spam: ${message.subject}`);
-
-      if (!collectOnly) {
-        const spamFolder = await findSpamFolder(message.folder.accountId);
-        if (spamFolder && message.folder.path !== spamFolder.path) {
-          await browser.messages.move([message.id], spamFolder);
-          stats.movedCount++;
-          await saveStats();
-
-          // Show notification if enabled
-          if (settings.notifyOnMove) {
-            showNotification(
-              "Spam Detected (Header)",
-              `Moved: ${message.subject || "(No subject)"}`
-            );
-          }
-        }
-      }
 
-      return {
-        isSpam: true,
-        method: "header",
-        probability: 1.0,
-        topKeywords: []
-      };
+    // Allowed senders and address book contacts are never flagged
+    const senderEmail = parseSender(message.author).email;
+    const senderRule = matchSenderLists(senderEmail);
+    if (senderRule?.list === "allow" || (!senderRule && isAddressBookContact(senderEmail))) {
+      return { isSpam: false };
     }
 
-    // ML classification
-    if (settings.useMLClassifier && classifier.isTrained) {
-      const sender = parseSender(message.author);
-      const body = await getMessageBodyText(message.id);
+    const content = await getMessageContent(message.id);
+    const emailData = buildEmailData(message, content);
 
-      const emailData = {
-        senderName: sender.name,
-        senderEmail: sender.email,
-        subject: message.subject || "",
-        body: body
-      };
+    // Mail from people we've written to is still reported but never moved,
+    // unless the sender is on the block list
+    const exemption = correspondentExemption(senderEmail, content.headers);
+    const canMove = !collectOnly && (!exemption || senderRule?.list === "block");
+    const autoMoveThreshold = settings.autoMoveThreshold || 0.99;
 
-      const prediction = classifier.predict(emailData);
-
-      if (prediction.label === "spam" && prediction.scores.spam >= settings.mlThreshold) {
-        const topKeywords = classifier.getTopFeatures(emailData, 5);
-
-        console.log(`[Spam Guard] ML spam (${(prediction.scores.spam * 100).toFixed(1)}%): ${message.subject}`);
-
-        // Auto-move ML detected spam if confidence exceeds auto-move threshold
-        const autoMoveThreshold = settings.autoMoveThreshold || 0.99;
-        if (!collectOnly && settings.autoScan && prediction.scores.spam >= autoMoveThreshold) {
-          const spamFolder = await findSpamFolder(message.folder.accountId);
-          if (spamFolder && message.folder.path !== spamFolder.path) {
-            await browser.messages.move([message.id], spamFolder);
-            stats.movedCount++;
-            await saveStats();
-
-            // Show notification if enabled
-            if (settings.notifyOnMove) {
-              showNotification(
-                "Spam Detected (ML)",
-                `Moved: ${message.subject || "(No subject)"}\nConfidence: ${(prediction.scores.spam * 100).toFixed(0)}%`
-              );
-            }
-          }
-        }
+    // Each detector that has something to say adds a signal
+    const signals = [];
+    const addSignal = (name, probability, reason) => {
+      signals.push({ name, probability, weight: signalWeight(name), reason });
+    };
 
-        return {
-          isSpam: true,
-          method: "ml",
-          probability: prediction.scores.spam,
-          topKeywords: topKeywords
-        };
+    if (senderRule?.list === "block") {
+      addSignal("sender_block", 1.0, `Block list: ${senderRule.pattern}`);
+    }
+
+    // User rules run before the built-in checks
+    const rules = evaluateUserRules(message, emailData, content.headers);
+    const firedRule = rules.rule || rules.skipMl;
+
+    if (rules.rule) {
+      const { rule } = rules;
+      if (rule.action.type === "allow") {
+        return { isSpam: false, rule: rule.name };
       }
+      addSignal("rule", rule.action.type === "spam" ? 1.0 : rule.action.probability, `Rule: ${rule.name}`);
     }
 
-    return { isSpam: false };
+    // Known-bad domains and URLs from imported blocklists
+    const blocklistHit = checkBlocklists(emailData, content.headers);
+    if (blocklistHit) {
+      addSignal("blocklist", 1.0, `${blocklistHit.where} ${blocklistHit.value} is on ${blocklistHit.list}`);
+    }
+
+    // Header rules, including low scores that speak for the message
+    const headerMatch = evaluateHeaderRules(content.headers, settings.headerRules);
+    if (headerMatch) {
+      addSignal("header", Math.max(headerMatch.probability, HEADER_PROBABILITY_FLOOR), `${headerMatch.rule.header}: ${headerMatch.value}`);
+    }
+
+    // Failed DMARC from a display name that claims to be someone else
+    if (settings.detectImpersonation !== false && emailData.auth.dmarc === "fail") {
+      const impersonated = findImpersonation(emailData);
+      if (impersonated) {
+        addSignal("auth", 1.0, `DMARC failed for a sender named like ${impersonated}`);
+      }
+    }
+
+    // Executables, including ones disguised as documents
+    if (settings.flagDangerousAttachments !== false) {
+      const dangerous = emailData.attachments.find(isDangerousAttachment);
+      if (dangerous) {
+        addSignal("attachment", 1.0, `Dangerous attachment: ${dangerous.name}`);
+      }
+    }
+
+    // ML classification, unless a skip_ml rule fired
+    const useML = settings.useMLClassifier && classifier.isTrained && !rules.skipMl;
+    if (useML) {
+      addSignal("ml", classifier.predict(emailData).scores.spam);
+    }
+
+    const combined = combineSignals(signals);
+    if (combined.contributing.length === 0 || combined.probability < settings.mlThreshold) {
+      return { isSpam: false, rule: firedRule ? firedRule.name : undefined };
+    }
+
+    const method = combined.contributing.map(signal => signal.name).join("+");
+    const reasons = combined.contributing.map(signal => signal.reason).filter(Boolean);
+    const percent = `${(combined.probability * 100).toFixed(1)}%`;
+    console.log(`[Spam Guard] Spam (${method}, ${percent}): ${message.subject}`);
+
+    // The classifier alone only moves mail while automatic scanning is on
+    const mlOnly = method === "ml";
+    if (canMove && combined.probability >= autoMoveThreshold && (settings.autoScan || !mlOnly)) {
+      const titles = combined.contributing.map(signal => SIGNAL_TITLES[signal.name]).join(" + ");
+      await moveToSpam(message, `Spam Detected (${titles})`,
+        reasons.length > 0 ? reasons.join("\n") : `Confidence: ${(combined.probability * 100).toFixed(0)}%`,
+        { method: method, probability: combined.probability });
+    }
+
+    const explanation = useML ? classifier.explain(emailData, 5) : null;
+
+    return {
+      isSpam: true,
+      method: method,
+      probability: combined.probability,
+      signals: signals.map(({ name, probability, weight, logOdds, reason }) => ({ name, probability, weight, logOdds, reason })),
+      topKeywords: explanation ? explanation.features : [],
+      contributions: explanation ? explanation.families : undefined,
+      auth: emailData.auth,
+      received: emailData.received,
+      exemption: exemption,
+      rule: firedRule ? firedRule.name : undefined,
+      reason: reasons.join("\n") || undefined
+    };
   } catch (error) {
     console.error("[Spam Guard] Error checking message:", error);
     return { isSpam: false };
@@ -821,6 +3544,13 @@ async function scanFolderWithML(folder, recursive = false, updateProgress = fals
             method: result.method,
             probability: result.probability,
             topKeywords: result.topKeywords,
+            signals: result.signals,
+            contributions: result.contributions,
+            auth: result.auth,
+            received: result.received,
+            exemption: result.exemption,
+            rule: result.rule,
+            reason: result.reason,
             bodyPreview: ""
           });
 
@@ -851,6 +3581,25 @@ async function scanFolderWithML(folder, recursive = false, updateProgress = fals
   return { scanned, predictions };
 }
 
+// An account's folders, at any depth, that are in a folder set
+function foldersInSet(account, folderSet) {
+  const found = [];
+
+  function visit(folders) {
+    for (const folder of folders) {
+      if (folderSet.has(`${account.id}:${folder.path}`)) {
+        found.push(folder);
+      }
+      if (folder.subFolders && folder.subFolders.length > 0) {
+        visit(folder.subFolders);
+      }
+    }
+  }
+
+  visit(account.folders);
+  return found;
+}
+
 // Count folders
 function countFolders(folders, skipTypes) {
   let count = 0;
@@ -875,8 +3624,10 @@ function countFoldersRecursive(folders) {
   return count;
 }
 
-// Scan all accounts with ML
-async function scanAllAccountsWithML(daysRange = null, accountId = null) {
+// Scan all accounts with ML. A folder set, as "accountId:path" keys, scans
+// just those folders instead. With mergeResults, what is found is added to
+// the stored results rather than replacing them.
+async function scanAllAccountsWithML(daysRange = null, accountId = null, folderKeys = null, mergeResults = false) {
   if (!settings.enabled) return { scanned: 0, predictions: [] };
 
   const effectiveDaysRange = daysRange || settings.scanDaysRange;
@@ -894,42 +3645,70 @@ async function scanAllAccountsWithML(daysRange = null, accountId = null) {
   let totalScanned = 0;
   let allPredictions = [];
 
-  let accounts = await browser.accounts.list();
-  const skipTypes = ["junk", "trash", "sent", "drafts", "outbox"];
+  try {
+    let accounts = await browser.accounts.list();
+    const skipTypes = ["junk", "trash", "sent", "drafts", "outbox"];
 
-  // Filter to single account if specified
-  if (accountId) {
-    accounts = accounts.filter(a => a.id === accountId);
-  }
+    // Filter to single account if specified
+    if (accountId) {
+      accounts = accounts.filter(a => a.id === accountId);
+    }
 
-  for (const account of accounts) {
-    scanProgress.totalFolders += countFolders(account.folders, skipTypes);
-  }
+    const folderSet = folderKeys && folderKeys.length > 0 ? new Set(folderKeys) : null;
 
-  for (const account of accounts) {
-    for (const folder of account.folders) {
-      if (!skipTypes.includes(folder.type)) {
-        scanProgress.currentFolderIndex++;
-        const result = await scanFolderWithML(folder, true, true, effectiveDaysRange);
-        totalScanned += result.scanned;
-        allPredictions = allPredictions.concat(result.predictions);
-      }
+    for (const account of accounts) {
+      scanProgress.totalFolders += folderSet
+        ? foldersInSet(account, folderSet).length
+        : countFolders(account.folders, skipTypes);
     }
-  }
 
-  stats.lastScanTime = new Date().toISOString();
-  await saveStats();
+    for (const account of accounts) {
+      if (folderSet) {
+        for (const folder of foldersInSet(account, folderSet)) {
+          scanProgress.currentFolderIndex++;
+          const result = await scanFolderWithML(folder, false, true, effectiveDaysRange);
+          totalScanned += result.scanned;
+          allPredictions = allPredictions.concat(result.predictions);
+        }
+        continue;
+      }
 
-  const scanResults = {
-    totalScanned,
-    predictions: allPredictions,
-    scanTime: new Date().toISOString(),
-    daysRange: effectiveDaysRange
-  };
-  await browser.storage.local.set({ scanResults });
+      for (const folder of account.folders) {
+        if (!skipTypes.includes(folder.type)) {
+          scanProgress.currentFolderIndex++;
+          const result = await scanFolderWithML(folder, true, true, effectiveDaysRange);
+          totalScanned += result.scanned;
+          allPredictions = allPredictions.concat(result.predictions);
+        }
+      }
+    }
 
-  scanProgress.isScanning = false;
-  scanProgress.predictions = allPredictions;
+    stats.lastScanTime = new Date().toISOString();
+    await saveStats();
+
+    if (!mergeResults) {
+      const scanResults = {
+        totalScanned,
+        predictions: allPredictions,
+        scanTime: new Date().toISOString(),
+        daysRange: effectiveDaysRange
+      };
+      await browser.storage.local.set({ scanResults });
+    } else if (allPredictions.length > 0) {
+      const previous = (await browser.storage.local.get("scanResults")).scanResults;
+      const found = new Set(allPredictions.map(p => p.messageId));
+      const scanResults = {
+        totalScanned: (previous?.totalScanned || 0) + totalScanned,
+        predictions: (previous?.predictions || []).filter(p => !found.has(p.messageId)).concat(allPredictions),
+        scanTime: new Date().toISOString(),
+        daysRange: effectiveDaysRange
+      };
+      await browser.storage.local.set({ scanResults });
+    }
+  } finally {
+    scanProgress.isScanning = false;
+    scanProgress.predictions = allPredictions;
+  }
 
   return { scanned: totalScanned, predictions: allPredictions };
 }
@@ -956,7 +3735,14 @@ async function saveSettings() {
 
 // Save classifier model
 async function saveClassifierModel() {
-  await browser.storage.local.set({ classifierModel: classifier.serialize() });
+  await browser.storage.local.set({
+    classifierModel: { ...classifier.serialize(), schemaVersion: MODEL_SCHEMA_VERSION }
+  });
+}
+
+// Size in bytes of the serialized classifier model
+function getModelSize() {
+  return new TextEncoder().encode(JSON.stringify(classifier.serialize())).length;
 }
 
 // Save training data
@@ -964,30 +3750,75 @@ async function saveTrainingData() {
   await browser.storage.local.set({ trainingData });
 }
 
+// Build an untrained classifier from the current settings
+function createClassifierFromSettings() {
+  return createClassifier(settings.classifierBackend, { tokenizer: settings.tokenizer });
+}
+
+// Train a classifier, re-apply recorded merges and calibrate it
+function trainClassifier(model, samples, merges = []) {
+  model.train(samples);
+  model.prune(settings.maxModelFeatures);
+  applyMerges(model, merges);
+  calibrateClassifier(model, samples, merges);
+}
+
+// If enabled, fit probability calibration on out-of-fold predictions so
+// calibration never sees its own training data. Any earlier fit is dropped.
+function calibrateClassifier(model, samples, merges = []) {
+  const method = settings.calibrationMethod;
+  model.calibrationRequested = method || "none";
+  model.calibration = null;
+  if (method === "platt" || method === "isotonic") {
+    const { margins, labels } = outOfFoldMargins(model, samples, merges);
+    if (margins.length > 0) {
+      model.fitCalibration(method, margins, labels);
+    }
+  }
+}
+
+// Whether the loaded model was built with the configured backend, tokenizer
+// and calibration. Calibration that was asked for but couldn't be fitted
+// counts as a match; the next full retrain tries again.
+function classifierMatchesSettings() {
+  return classifier.backend === settings.classifierBackend &&
+         classifier.tokenizer === settings.tokenizer &&
+         classifier.calibrationRequested === (settings.calibrationMethod || "none");
+}
+
+// Replace the classifier with one built from the current settings and retrain it
+async function rebuildClassifier() {
+  console.log(`[Spam Guard] Rebuilding classifier (${settings.classifierBackend}, ${settings.tokenizer})`);
+  classifier = createClassifierFromSettings();
+  trainClassifier(classifier, trainingData, await getModelMerges());
+  await saveClassifierModel();
+}
+
 // Get all folders
 async function getAllFolders() {
   const accounts = await browser.accounts.list();
   const folders = [];
 
-  function addFolders(folderList, accountName, depth = 0) {
+  function addFolders(folderList, account, depth = 0) {
     for (const folder of folderList) {
       folders.push({
         id: folder.id,
         name: folder.name,
         path: folder.path,
-        accountName: accountName,
+        accountId: account.id,
+        accountName: account.name,
         type: folder.type,
         depth: depth,
         displayName: "  ".repeat(depth) + folder.name
       });
       if (folder.subFolders && folder.subFolders.length > 0) {
-        addFolders(folder.subFolders, accountName, depth + 1);
+        addFolders(folder.subFolders, account, depth + 1);
       }
     }
   }
 
   for (const account of accounts) {
-    addFolders(account.folders, account.name);
+    addFolders(account.folders, account);
   }
 
   return folders;
@@ -1016,8 +3847,21 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       return { settings, stats };
 
     case "saveSettings":
+      const previousMaxFeatures = settings.maxModelFeatures;
       settings = { ...settings, ...message.settings };
       await saveSettings();
+      await setupAlarms();
+      if (!classifierMatchesSettings()) {
+        await rebuildClassifier();
+      } else if ((await getModelMerges()).length > 0) {
+        // Pruning merged counts would keep merges from being undone exactly,
+        // so a new size limit is applied to a retrained local model instead
+        if (settings.maxModelFeatures !== previousMaxFeatures) {
+          await rebuildClassifier();
+        }
+      } else if (classifier.prune(settings.maxModelFeatures) > 0) {
+        await saveClassifierModel();
+      }
       return { success: true };
 
     case "getStats":
@@ -1033,6 +3877,9 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       return { accounts: allAccounts.map(a => ({ id: a.id, name: a.name })) };
 
     case "scanAll":
+      if (scanProgress.isScanning) {
+        return { success: false, error: "A scan is already running" };
+      }
       const scanResult = await scanAllAccountsWithML(message.daysRange, message.accountId);
       await openResultsTab();
       return { result: { scanned: scanResult.scanned, moved: scanResult.predictions.length } };
@@ -1054,7 +3901,14 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
               date: msg.date,
               method: result.method,
               probability: result.probability,
-              topKeywords: result.topKeywords
+              topKeywords: result.topKeywords,
+              signals: result.signals,
+              contributions: result.contributions,
+              auth: result.auth,
+              received: result.received,
+              exemption: result.exemption,
+              rule: result.rule,
+              reason: result.reason
             });
           }
         }
@@ -1091,7 +3945,13 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         const msgToMove = await browser.messages.get(message.messageId);
         const spamFolder = await findSpamFolder(msgToMove.folder.accountId);
         if (spamFolder) {
-          await browser.messages.move([message.messageId], spamFolder);
+          // Learn from the message while it still has this id
+          try {
+            await recordFeedback(message.messageId, "spam");
+          } catch (error) {
+            console.error("[Spam Guard] Error recording feedback:", error);
+          }
+          await moveAndRecord(msgToMove, spamFolder, { method: "manual" });
           return { success: true };
         }
         return { success: false, error: "Spam folder not found" };
@@ -1143,10 +4003,57 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
       };
       trainingData.push(newSample);
       await saveTrainingData();
-      classifier.train(trainingData);
+      // Only prune after a full retrain; pruning here could drop the
+      // tokens this sample just added
+      if (!classifier.addSample(newSample)) {
+        trainClassifier(classifier, trainingData, await getModelMerges());
+      }
       await saveClassifierModel();
       return { success: true };
 
+    case "recordFeedback":
+      if (message.label !== "spam" && message.label !== "ham") {
+        return { success: false, error: "Invalid label" };
+      }
+      try {
+        const feedback = await recordFeedback(message.messageId, message.label);
+        return { success: true, ...feedback };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "getJournal":
+      return { entries: (await getJournal()).reverse() };
+
+    case "undoJournalEntry":
+      try {
+        await undoJournalEntry(message.id);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "clearJournal":
+      await updateJournal(journal => journal.splice(0));
+      return { success: true };
+
+    case "previewRetention":
+      try {
+        return { success: true, messages: await previewRetention(message.days) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "applyRetention":
+      try {
+        if (!(message.retentionAction in RETENTION_DESTINATIONS)) {
+          return { success: false, error: "Invalid retention action" };
+        }
+        return { success: true, ...(await applyRetention(message.days, message.retentionAction)) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
     case "getTrainingData":
       return { trainingData };
 
@@ -1155,20 +4062,115 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         trainingData = message.trainingData;
         await saveTrainingData();
       }
-      classifier.train(trainingData);
-      await saveClassifierModel();
+      await rebuildClassifier();
       return { success: true };
 
     case "trainFromFolders":
       const trainResult = await trainFromMailboxFolders();
       return trainResult;
 
+    case "evaluateModel":
+      try {
+        const report = await evaluateModel(message.folds);
+        return { success: true, report };
+      } catch (error) {
+        console.error("[Spam Guard] Evaluation error:", error);
+        return { success: false, error: error.message };
+      }
+
+    case "getEvaluationHistory":
+      const storedEvaluations = await browser.storage.local.get("evaluationHistory");
+      return { history: storedEvaluations.evaluationHistory || [] };
+
+    case "exportModel":
+      try {
+        return { success: true, file: exportModelFile(message.hashTokens) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "importModel":
+      try {
+        const info = await importModelFile(message.file);
+        return { success: true, info };
+      } catch (error) {
+        console.error("[Spam Guard] Model import failed:", error);
+        return { success: false, error: error.message };
+      }
+
+    case "mergeModel":
+      try {
+        const merge = await mergeModelFile(message.file, message.weight, message.name);
+        return { success: true, id: merge.id };
+      } catch (error) {
+        console.error("[Spam Guard] Model merge failed:", error);
+        return { success: false, error: error.message };
+      }
+
+    case "getModelMerges":
+      const merges = await getModelMerges();
+      // The merged counts stay in the background
+      return { merges: merges.map(({ model, ...merge }) => merge) };
+
+    case "undoModelMerge":
+      try {
+        await undoModelMerge(message.id);
+        return { success: true };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "addSenderRule":
+      if (!["allow", "block"].includes(message.list) || !message.pattern) {
+        return { success: false, error: "A list (allow or block) and a sender are required" };
+      }
+      addSenderRule(message.list, message.pattern);
+      await saveSettings();
+      return { success: true };
+
+    case "getAddressBookInfo":
+      return { contactCount: addressBookEmails.size };
+
+    case "importBlocklist":
+      try {
+        const list = await importBlocklist(message.name, message.text);
+        return { success: true, domainCount: list.domains.length, urlPatternCount: list.urlPatterns.length };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+
+    case "getBlocklists":
+      const blocklists = await getBlocklists();
+      // The entries stay in the background
+      return {
+        blocklists: blocklists.map(({ domains, urlPatterns, ...list }) => ({
+          ...list,
+          domainCount: domains.length,
+          urlPatternCount: urlPatterns.length
+        }))
+      };
+
+    case "setBlocklistEnabled":
+      await updateBlocklists(lists => lists.map(list =>
+        list.id === message.id ? { ...list, enabled: Boolean(message.enabled) } : list));
+      return { success: true };
+
+    case "removeBlocklist":
+      await updateBlocklists(lists => lists.filter(list => list.id !== message.id));
+      return { success: true };
+
+    case "getCorrespondentInfo":
+      return { addressCount: correspondentAddresses.size, sentCount: sentMessageIds.size };
+
+    case "rebuildCorrespondents":
+      await buildCorrespondentIndex();
+      return { success: true, addressCount: correspondentAddresses.size, sentCount: sentMessageIds.size };
+
     case "getClassifierInfo":
       return {
-        isTrained: classifier.isTrained,
-        vocabularySize: classifier.vocabulary.size,
+        ...classifier.getInfo(),
         trainingSize: trainingData.length,
-        classDistribution: classifier.classDocCount
+        modelBytes: getModelSize()
       };
 
     default:
@@ -1177,5 +4179,20 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
   }
 });
 
+browser.alarms.onAlarm.addListener(handleAlarm);
+
+browser.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId === SCHEDULED_SCAN_NOTIFICATION) {
+    openResultsTab();
+  }
+});
+
+// Keep the correspondent index and trusted address book senders current
+setupSentMailListener();
+
+for (const event of ["onCreated", "onUpdated", "onDeleted"]) {
+  browser.contacts[event].addListener(loadAddressBookEmails);
+}
+
 // Initialize
 initialize();
@@ -2,12 +2,36 @@
 
 const DEFAULT_SETTINGS = {
   enabled: true,
+  senderAllowList: [],
+  senderBlockList: [],
+  trustAddressBook: true,
+  trustCorrespondents: true,
+  userRules: [],
+  signalWeights: { rule: 1, blocklist: 1, header: 1, auth: 1, attachment: 1, ml: 1 },
+  headerRules: [
+    { header: "x-spam-status", match: "contains", value: "Yes", probability: 1.0 },
+    { header: "x-spam-flag", match: "contains", value: "YES", probability: 1.0 },
+    { header: "x-hines-imss-spam", match: "contains", value: "SPAM", probability: 1.0 },
+    { header: "x-spam-score", match: "numeric", extract: "number", low: -5, high: 10 },
+    { header: "x-spam-level", match: "numeric", extract: "stars", low: -5, high: 10 },
+    { header: "x-forefront-antispam-report", match: "numeric", extract: "scl", low: -1, high: 9 }
+  ],
   targetFolderId: null,
   targetFolderPath: "Spam",
   autoScan: true,
   notifyOnMove: true,
   logActions: true,
+  retentionEnabled: false,
+  retentionDays: 30,
+  retentionAction: "trash",
+  scanSchedules: [],
+  detectImpersonation: true,
+  flagDangerousAttachments: true,
   useMLClassifier: true,
+  classifierBackend: "naive_bayes",
+  tokenizer: "cjk_bigram",
+  calibrationMethod: "none",
+  maxModelFeatures: 20000,
   mlThreshold: 0.7,
   autoMoveThreshold: 0.99,
   scanDaysRange: 50
@@ -19,6 +43,8 @@ const elements = {
   autoScan: document.getElementById("autoScan"),
   notifyOnMove: document.getElementById("notifyOnMove"),
   logActions: document.getElementById("logActions"),
+  detectImpersonation: document.getElementById("detectImpersonation"),
+  flagDangerousAttachments: document.getElementById("flagDangerousAttachments"),
   targetFolder: document.getElementById("targetFolder"),
   targetFolderPath: document.getElementById("targetFolderPath"),
   scannedCount: document.getElementById("scannedCount"),
@@ -27,9 +53,23 @@ const elements = {
   saveBtn: document.getElementById("saveBtn"),
   restoreBtn: document.getElementById("restoreBtn"),
   resetStats: document.getElementById("resetStats"),
+  scanSchedules: document.getElementById("scanSchedules"),
+  addScanScheduleBtn: document.getElementById("addScanScheduleBtn"),
+  actionJournal: document.getElementById("actionJournal"),
+  clearJournalBtn: document.getElementById("clearJournalBtn"),
+  retentionEnabled: document.getElementById("retentionEnabled"),
+  retentionDays: document.getElementById("retentionDays"),
+  retentionAction: document.getElementById("retentionAction"),
+  retentionPreview: document.getElementById("retentionPreview"),
+  previewRetentionBtn: document.getElementById("previewRetentionBtn"),
+  applyRetentionBtn: document.getElementById("applyRetentionBtn"),
   status: document.getElementById("status"),
   // ML elements
   useMLClassifier: document.getElementById("useMLClassifier"),
+  classifierBackend: document.getElementById("classifierBackend"),
+  tokenizer: document.getElementById("tokenizer"),
+  calibrationMethod: document.getElementById("calibrationMethod"),
+  maxModelFeatures: document.getElementById("maxModelFeatures"),
   mlThreshold: document.getElementById("mlThreshold"),
   autoMoveThreshold: document.getElementById("autoMoveThreshold"),
   scanDaysRange: document.getElementById("scanDaysRange"),
@@ -37,9 +77,37 @@ const elements = {
   trainingSize: document.getElementById("trainingSize"),
   spamSamples: document.getElementById("spamSamples"),
   hamSamples: document.getElementById("hamSamples"),
+  featureCount: document.getElementById("featureCount"),
+  modelSize: document.getElementById("modelSize"),
   trainingStatus: document.getElementById("trainingStatus"),
   retrainBtn: document.getElementById("retrainBtn"),
-  trainFromFoldersBtn: document.getElementById("trainFromFoldersBtn")
+  trainFromFoldersBtn: document.getElementById("trainFromFoldersBtn"),
+  exportModelBtn: document.getElementById("exportModelBtn"),
+  importModelBtn: document.getElementById("importModelBtn"),
+  importModelFile: document.getElementById("importModelFile"),
+  exportHashTokens: document.getElementById("exportHashTokens"),
+  importMode: document.getElementById("importMode"),
+  mergeWeight: document.getElementById("mergeWeight"),
+  modelMerges: document.getElementById("modelMerges"),
+  headerRules: document.getElementById("headerRules"),
+  addHeaderRuleBtn: document.getElementById("addHeaderRuleBtn"),
+  senderAllowList: document.getElementById("senderAllowList"),
+  senderBlockList: document.getElementById("senderBlockList"),
+  trustAddressBook: document.getElementById("trustAddressBook"),
+  addressBookInfo: document.getElementById("addressBookInfo"),
+  trustCorrespondents: document.getElementById("trustCorrespondents"),
+  correspondentInfo: document.getElementById("correspondentInfo"),
+  rebuildCorrespondentsBtn: document.getElementById("rebuildCorrespondentsBtn"),
+  blocklists: document.getElementById("blocklists"),
+  userRules: document.getElementById("userRules"),
+  signalWeights: document.getElementById("signalWeights"),
+  addUserRuleBtn: document.getElementById("addUserRuleBtn"),
+  importBlocklistBtn: document.getElementById("importBlocklistBtn"),
+  importBlocklistFile: document.getElementById("importBlocklistFile"),
+  // Evaluation elements
+  evaluateBtn: document.getElementById("evaluateBtn"),
+  evaluationReport: document.getElementById("evaluationReport"),
+  evaluationHistory: document.getElementById("evaluationHistory")
 };
 
 let trainingPollInterval = null;
@@ -56,22 +124,53 @@ async function loadSettings() {
     elements.autoScan.checked = settings.autoScan;
     elements.notifyOnMove.checked = settings.notifyOnMove;
     elements.logActions.checked = settings.logActions;
+    elements.retentionEnabled.checked = settings.retentionEnabled || false;
+    elements.retentionDays.value = (settings.retentionDays || 30).toString();
+    elements.retentionAction.value = settings.retentionAction || "trash";
+    elements.detectImpersonation.checked = settings.detectImpersonation !== false;
+    elements.flagDangerousAttachments.checked = settings.flagDangerousAttachments !== false;
     elements.targetFolderPath.value = settings.targetFolderPath || "Spam";
 
+    // Header rules are edited in place and sent with the other settings
+    headerRules = (settings.headerRules || DEFAULT_SETTINGS.headerRules).map(rule => ({ ...rule }));
+    renderHeaderRules();
+
+    userRules = JSON.parse(JSON.stringify(settings.userRules || []));
+    renderUserRules();
+
+    renderSignalWeights(settings.signalWeights || DEFAULT_SETTINGS.signalWeights);
+
+    elements.senderAllowList.value = (settings.senderAllowList || []).join("\n");
+    elements.senderBlockList.value = (settings.senderBlockList || []).join("\n");
+    elements.trustAddressBook.checked = settings.trustAddressBook !== false;
+    await loadAddressBookInfo();
+
+    elements.trustCorrespondents.checked = settings.trustCorrespondents !== false;
+    await loadCorrespondentInfo();
+    await loadBlocklists();
+
     // ML settings
     elements.useMLClassifier.checked = settings.useMLClassifier !== false;
+    elements.classifierBackend.value = settings.classifierBackend || "naive_bayes";
+    elements.tokenizer.value = settings.tokenizer || "cjk_bigram";
+    elements.calibrationMethod.value = settings.calibrationMethod || "none";
+    elements.maxModelFeatures.value = (settings.maxModelFeatures ?? 20000).toString();
     elements.mlThreshold.value = (settings.mlThreshold || 0.7).toString();
     elements.autoMoveThreshold.value = (settings.autoMoveThreshold || 0.99).toString();
     elements.scanDaysRange.value = (settings.scanDaysRange || 50).toString();
 
     // Load folders
     await loadFolders(settings.targetFolderId);
+    await loadScanSchedules(settings);
 
     // Update stats
     updateStats(stats);
 
     // Load classifier info
     await loadClassifierInfo();
+    await loadEvaluationHistory();
+    await loadModelMerges();
+    await loadJournal();
 
   } catch (error) {
     console.error("Error loading settings:", error);
@@ -85,6 +184,8 @@ async function loadClassifierInfo() {
     const response = await browser.runtime.sendMessage({ action: "getClassifierInfo" });
     elements.vocabSize.textContent = response.vocabularySize || 0;
     elements.trainingSize.textContent = response.trainingSize || 0;
+    elements.featureCount.textContent = response.featureCount || 0;
+    elements.modelSize.textContent = formatBytes(response.modelBytes || 0);
 
     // Show class distribution
     if (response.classDistribution) {
@@ -96,11 +197,24 @@ async function loadClassifierInfo() {
   }
 }
 
+// Format a byte count as B, KB or MB
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Id for a new rule or schedule; ids made in the same millisecond still differ
+function uniqueId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
 // Load available folders
 async function loadFolders(selectedFolderId) {
   try {
     const response = await browser.runtime.sendMessage({ action: "getFolders" });
     const { folders } = response;
+    scheduleFolders = folders;
 
     // Clear existing options (except first)
     while (elements.targetFolder.options.length > 1) {
@@ -138,15 +252,40 @@ function updateStats(stats) {
 
 // Save settings
 async function saveSettings() {
+  const signalWeights = readSignalWeights();
+  const ruleError = validateHeaderRules(headerRules) || validateUserRules(userRules) ||
+    validateSignalWeights(signalWeights) || validateScanSchedules(scanSchedules);
+  if (ruleError) {
+    showStatus(ruleError, "error");
+    return;
+  }
+
   try {
     const settings = {
       enabled: elements.enabled.checked,
+      headerRules: headerRules,
+      userRules: userRules,
+      signalWeights: signalWeights,
+      senderAllowList: parseSenderList(elements.senderAllowList.value),
+      senderBlockList: parseSenderList(elements.senderBlockList.value),
+      trustAddressBook: elements.trustAddressBook.checked,
+      trustCorrespondents: elements.trustCorrespondents.checked,
       autoScan: elements.autoScan.checked,
       notifyOnMove: elements.notifyOnMove.checked,
       logActions: elements.logActions.checked,
+      retentionEnabled: elements.retentionEnabled.checked,
+      retentionDays: parseInt(elements.retentionDays.value) || 30,
+      retentionAction: elements.retentionAction.value,
+      scanSchedules: scanSchedules,
+      detectImpersonation: elements.detectImpersonation.checked,
+      flagDangerousAttachments: elements.flagDangerousAttachments.checked,
       targetFolderId: elements.targetFolder.value || null,
       targetFolderPath: elements.targetFolderPath.value || "Spam",
       useMLClassifier: elements.useMLClassifier.checked,
+      classifierBackend: elements.classifierBackend.value,
+      tokenizer: elements.tokenizer.value,
+      calibrationMethod: elements.calibrationMethod.value,
+      maxModelFeatures: parseInt(elements.maxModelFeatures.value) || 0,
       mlThreshold: parseFloat(elements.mlThreshold.value) || 0.7,
       autoMoveThreshold: parseFloat(elements.autoMoveThreshold.value) || 0.99,
       scanDaysRange: parseInt(elements.scanDaysRange.value) || 50
@@ -159,6 +298,9 @@ async function saveSettings() {
 
     showStatus("Settings saved successfully!", "success");
 
+    // Switching backend, tokenizer or calibration retrains the model
+    await loadClassifierInfo();
+
   } catch (error) {
     console.error("Error saving settings:", error);
     showStatus("Error saving settings: " + error.message, "error");
@@ -255,6 +397,1002 @@ async function trainFromFolders() {
   }
 }
 
+// Format a 0-1 metric as a percentage
+function formatPercent(value) {
+  return (value * 100).toFixed(1) + "%";
+}
+
+// Render the metrics of one evaluation report
+function renderEvaluationReport(report) {
+  const columns = [report.detection, report.autoMove];
+  const row = (label, format) =>
+    `<tr><td>${label}</td>${columns.map(m => `<td>${format(m)}</td>`).join("")}</tr>`;
+
+  elements.evaluationReport.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>${report.sampleCount} samples, ${report.folds} folds</th>
+          <th>Detection (${formatPercent(report.detection.threshold)})</th>
+          <th>Auto-move (${formatPercent(report.autoMove.threshold)})</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row("Accuracy", m => formatPercent(m.accuracy))}
+        ${row("Precision", m => formatPercent(m.precision))}
+        ${row("Recall", m => formatPercent(m.recall))}
+        ${row("F1", m => formatPercent(m.f1))}
+        ${row("False positive rate", m => formatPercent(m.falsePositiveRate))}
+        ${row("Spam caught / missed", m => `${m.confusionMatrix.tp} / ${m.confusionMatrix.fn}`)}
+        ${row("Ham passed / flagged", m => `${m.confusionMatrix.tn} / ${m.confusionMatrix.fp}`)}
+      </tbody>
+    </table>
+  `;
+}
+
+// Load past evaluation runs
+async function loadEvaluationHistory() {
+  try {
+    const { history } = await browser.runtime.sendMessage({ action: "getEvaluationHistory" });
+    if (!history || history.length === 0) return;
+
+    renderEvaluationReport(history[0]);
+    elements.evaluationHistory.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th>Date</th><th>Backend</th><th>Samples</th><th>Accuracy</th><th>F1</th><th>FPR</th></tr>
+        </thead>
+        <tbody>
+          ${history.map(r => `
+            <tr>
+              <td>${new Date(r.evaluatedAt).toLocaleString()}</td>
+              <td>${r.backend}</td>
+              <td>${r.sampleCount}</td>
+              <td>${formatPercent(r.detection.accuracy)}</td>
+              <td>${formatPercent(r.detection.f1)}</td>
+              <td>${formatPercent(r.detection.falsePositiveRate)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error("Error loading evaluation history:", error);
+  }
+}
+
+// Cross-validate the classifier on the current training data
+async function evaluateModel() {
+  try {
+    elements.evaluateBtn.disabled = true;
+    elements.evaluateBtn.textContent = "Evaluating...";
+
+    const result = await browser.runtime.sendMessage({ action: "evaluateModel" });
+    if (result.success) {
+      await loadEvaluationHistory();
+      showStatus("Evaluation complete!", "success");
+    } else {
+      showStatus("Evaluation failed: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error evaluating model:", error);
+    showStatus("Error evaluating model: " + error.message, "error");
+  } finally {
+    elements.evaluateBtn.disabled = false;
+    elements.evaluateBtn.textContent = "Evaluate Model";
+  }
+}
+
+// Download the current model as a JSON file
+async function exportModel() {
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "exportModel",
+      hashTokens: elements.exportHashTokens.checked
+    });
+    if (!result.success) {
+      showStatus("Export failed: " + result.error, "error");
+      return;
+    }
+
+    const { file } = result;
+    const blob = new Blob([JSON.stringify(file)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `spam-guard-model-${file.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+
+    showStatus("Model exported!", "success");
+  } catch (error) {
+    console.error("Error exporting model:", error);
+    showStatus("Error exporting model: " + error.message, "error");
+  }
+}
+
+// Import a model file chosen by the user
+async function importModel() {
+  const fileInput = elements.importModelFile;
+  const selected = fileInput.files[0];
+  fileInput.value = "";
+  if (!selected) return;
+
+  const merge = elements.importMode.value === "merge";
+  const weight = parseFloat(elements.mergeWeight.value) || 1;
+  const question = merge
+    ? `Merge ${selected.name} into the current model with weight ${weight}?`
+    : "Importing replaces the current model and classifier settings. Continue?";
+  if (!confirm(question)) {
+    return;
+  }
+
+  try {
+    let file;
+    try {
+      file = JSON.parse(await selected.text());
+    } catch (e) {
+      showStatus("Import failed: file is not valid JSON", "error");
+      return;
+    }
+
+    const result = merge
+      ? await browser.runtime.sendMessage({ action: "mergeModel", file, weight, name: selected.name })
+      : await browser.runtime.sendMessage({ action: "importModel", file });
+    if (result.success) {
+      await loadSettings();
+      showStatus(merge ? "Model merged successfully!" : "Model imported successfully!", "success");
+    } else {
+      showStatus("Import failed: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error importing model:", error);
+    showStatus("Error importing model: " + error.message, "error");
+  }
+}
+
+// Load the list of merged models
+async function loadModelMerges() {
+  try {
+    const { merges } = await browser.runtime.sendMessage({ action: "getModelMerges" });
+    if (!merges || merges.length === 0) {
+      elements.modelMerges.innerHTML = '<p class="description">No merged models.</p>';
+      return;
+    }
+
+    elements.modelMerges.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th>Source</th><th>Samples</th><th>Weight</th><th>Merged</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${merges.map(m => `
+            <tr>
+              <td>${escapeHtml(m.name)}</td>
+              <td>${Math.round(m.documentCount)}</td>
+              <td>${m.weight}</td>
+              <td>${new Date(m.mergedAt).toLocaleString()}</td>
+              <td><button class="secondary" data-merge-id="${escapeHtml(m.id)}">Undo</button></td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error("Error loading merged models:", error);
+  }
+}
+
+// Scan schedule choices
+const SCAN_INTERVAL_LABELS = {
+  hourly: "Every hour",
+  daily: "Every day",
+  custom: "Every ... minutes"
+};
+
+const SCAN_DAY_RANGES = {
+  1: "Last day",
+  7: "Last 7 days",
+  30: "Last 30 days",
+  100: "Last 100 days"
+};
+
+let scanSchedules = [];
+let scheduleAccounts = [];
+let scheduleFolders = [];
+
+async function loadScanSchedules(settings) {
+  try {
+    const { accounts } = await browser.runtime.sendMessage({ action: "getAccounts" });
+    scheduleAccounts = accounts || [];
+  } catch (error) {
+    console.error("Error loading accounts:", error);
+  }
+
+  scanSchedules = JSON.parse(JSON.stringify(settings.scanSchedules || []));
+  renderScanSchedules();
+}
+
+function renderScanSchedules() {
+  if (scanSchedules.length === 0) {
+    elements.scanSchedules.innerHTML = '<p class="description">No scheduled scans.</p>';
+    return;
+  }
+
+  const accountOptions = { "": "All accounts" };
+  for (const account of scheduleAccounts) {
+    accountOptions[account.id] = escapeHtml(account.name);
+  }
+
+  elements.scanSchedules.innerHTML = scanSchedules.map((schedule, index) => {
+    const folders = scheduleFolders.filter(f => !schedule.accountId || f.accountId === schedule.accountId);
+    return `
+      <div class="rule-card ${schedule.enabled === false ? "disabled" : ""}" data-schedule="${index}">
+        <div class="rule-row">
+          <input type="checkbox" data-field="enabled" title="Enabled" ${schedule.enabled !== false ? "checked" : ""}>
+          <input type="text" data-field="name" value="${escapeHtml(schedule.name)}" placeholder="Scan name">
+          <button class="secondary" data-remove-schedule="${index}">Remove</button>
+        </div>
+        <div class="rule-row">
+          <select data-field="interval">${selectOptions(SCAN_INTERVAL_LABELS, schedule.interval)}</select>
+          ${schedule.interval === "custom"
+            ? `<input type="number" data-field="minutes" value="${schedule.minutes}" min="5" step="5">`
+            : ""}
+          <select data-field="accountId">${selectOptions(accountOptions, schedule.accountId || "")}</select>
+          <select data-field="daysRange">${selectOptions(SCAN_DAY_RANGES, String(schedule.daysRange))}</select>
+        </div>
+        <div class="rule-row">
+          <select data-field="folders" multiple size="5">
+            ${folders.map(f => {
+              const key = `${f.accountId}:${f.path}`;
+              const label = schedule.accountId ? f.path : `${f.accountName} - ${f.path}`;
+              return `<option value="${escapeHtml(key)}" ${schedule.folders.includes(key) ? "selected" : ""}>${escapeHtml(label)}</option>`;
+            }).join("")}
+          </select>
+        </div>
+        <p class="description">With no folders selected, every folder except Junk, Trash, Sent, Drafts and Outbox is scanned.</p>
+      </div>
+    `;
+  }).join("");
+}
+
+// Keep scanSchedules in step with the editor's inputs
+function updateScanSchedule(e) {
+  const card = e.target.closest("[data-schedule]");
+  const field = e.target.dataset.field;
+  if (!card || !field) return;
+
+  const schedule = scanSchedules[parseInt(card.dataset.schedule)];
+  switch (field) {
+    case "enabled":
+      schedule.enabled = e.target.checked;
+      card.classList.toggle("disabled", !schedule.enabled);
+      break;
+    case "minutes":
+    case "daysRange":
+      schedule[field] = parseInt(e.target.value);
+      break;
+    case "folders":
+      schedule.folders = Array.from(e.target.selectedOptions, option => option.value);
+      break;
+    case "accountId":
+      // Folders belong to one account, so a new account starts with none
+      schedule.accountId = e.target.value;
+      schedule.folders = [];
+      renderScanSchedules();
+      break;
+    case "interval":
+      schedule.interval = e.target.value;
+      renderScanSchedules();
+      break;
+    default:
+      schedule[field] = e.target.value;
+  }
+}
+
+function addScanSchedule() {
+  scanSchedules.push({
+    id: uniqueId(),
+    name: "",
+    enabled: true,
+    interval: "hourly",
+    minutes: 30,
+    accountId: "",
+    folders: [],
+    daysRange: 1
+  });
+  renderScanSchedules();
+}
+
+// Returns an error message for the first invalid schedule, or null
+function validateScanSchedules(schedules) {
+  for (const schedule of schedules) {
+    if (schedule.interval === "custom" && !(schedule.minutes >= 5)) {
+      return `${schedule.name || "Scheduled scan"}: the interval must be at least 5 minutes.`;
+    }
+  }
+  return null;
+}
+
+// Entries shown in the action journal, newest first
+const JOURNAL_DISPLAY_LIMIT = 100;
+
+// Load the journal of moved messages
+async function loadJournal() {
+  try {
+    const { entries } = await browser.runtime.sendMessage({ action: "getJournal" });
+    if (!entries || entries.length === 0) {
+      elements.actionJournal.innerHTML = '<p class="description">No moves recorded.</p>';
+      return;
+    }
+
+    elements.actionJournal.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th>Moved</th><th>Subject</th><th>From</th><th>To</th><th>Method</th><th>Score</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${entries.slice(0, JOURNAL_DISPLAY_LIMIT).map(e => `
+            <tr>
+              <td>${new Date(e.time).toLocaleString()}</td>
+              <td title="${escapeHtml(e.author)}">${escapeHtml(e.subject) || "(No subject)"}</td>
+              <td>${escapeHtml(e.from.path)}</td>
+              <td>${escapeHtml(e.to.path)}</td>
+              <td>${escapeHtml(e.method)}</td>
+              <td>${e.probability === null ? "" : `${Math.round(e.probability * 100)}%`}</td>
+              <td>${journalEntryState(e)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      ${entries.length > JOURNAL_DISPLAY_LIMIT
+        ? `<p class="description">Showing the latest ${JOURNAL_DISPLAY_LIMIT} of ${entries.length} moves.</p>`
+        : ""}
+    `;
+  } catch (error) {
+    console.error("Error loading action journal:", error);
+  }
+}
+
+// Undo button, or why a journal entry can't be undone
+function journalEntryState(entry) {
+  if (entry.kind === "purge" || entry.purgedAt) {
+    return '<span class="description">Purged</span>';
+  }
+  if (entry.undoneAt) {
+    return '<span class="description">Undone</span>';
+  }
+  return `<button class="secondary" data-journal-id="${escapeHtml(entry.id)}">Undo</button>`;
+}
+
+// Move a message back to the folder it came from
+async function undoJournalEntry(id, btn) {
+  btn.disabled = true;
+  btn.textContent = "Moving...";
+
+  try {
+    const result = await browser.runtime.sendMessage({ action: "undoJournalEntry", id });
+    if (result.success) {
+      await loadJournal();
+      showStatus("Message moved back and marked as not spam.", "success");
+    } else {
+      btn.disabled = false;
+      btn.textContent = "Undo";
+      showStatus("Undo failed: " + result.error, "error");
+    }
+  } catch (error) {
+    btn.disabled = false;
+    btn.textContent = "Undo";
+    showStatus("Undo failed: " + error.message, "error");
+  }
+}
+
+async function clearJournal() {
+  if (!confirm("Clear the action journal? Moves in it can no longer be undone from here.")) {
+    return;
+  }
+
+  try {
+    await browser.runtime.sendMessage({ action: "clearJournal" });
+    await loadJournal();
+    showStatus("Action journal cleared.", "success");
+  } catch (error) {
+    showStatus("Error clearing journal: " + error.message, "error");
+  }
+}
+
+// List what the retention policy would remove with the settings on the page
+async function previewRetention() {
+  elements.previewRetentionBtn.disabled = true;
+  elements.retentionPreview.innerHTML = '<p class="description">Checking quarantined messages...</p>';
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "previewRetention",
+      days: parseInt(elements.retentionDays.value)
+    });
+    if (!result.success) {
+      elements.retentionPreview.innerHTML = "";
+      showStatus("Preview failed: " + result.error, "error");
+      return;
+    }
+
+    if (result.messages.length === 0) {
+      elements.retentionPreview.innerHTML = '<p class="description">Nothing to purge.</p>';
+      return;
+    }
+
+    elements.retentionPreview.innerHTML = `
+      <p class="description">${result.messages.length} messages would be purged:</p>
+      <table class="data-table">
+        <thead>
+          <tr><th>Moved</th><th>Subject</th><th>Sender</th><th>Folder</th></tr>
+        </thead>
+        <tbody>
+          ${result.messages.map(m => `
+            <tr>
+              <td>${new Date(m.movedAt).toLocaleDateString()}</td>
+              <td>${escapeHtml(m.subject) || "(No subject)"}</td>
+              <td>${escapeHtml(m.author)}</td>
+              <td>${escapeHtml(m.folder)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    elements.retentionPreview.innerHTML = "";
+    showStatus("Preview failed: " + error.message, "error");
+  } finally {
+    elements.previewRetentionBtn.disabled = false;
+  }
+}
+
+// Run the retention policy now with the settings on the page
+async function applyRetention() {
+  const action = elements.retentionAction.options[elements.retentionAction.selectedIndex].text;
+  if (!confirm(`Purge quarantined messages older than ${elements.retentionDays.value} days? Action: ${action}.`)) {
+    return;
+  }
+
+  elements.applyRetentionBtn.disabled = true;
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "applyRetention",
+      days: parseInt(elements.retentionDays.value),
+      retentionAction: elements.retentionAction.value
+    });
+    if (result.success) {
+      elements.retentionPreview.innerHTML = "";
+      await loadJournal();
+      showStatus(`Purged ${result.purged} messages.`, "success");
+    } else {
+      showStatus("Purge failed: " + result.error, "error");
+    }
+  } catch (error) {
+    showStatus("Purge failed: " + error.message, "error");
+  } finally {
+    elements.applyRetentionBtn.disabled = false;
+  }
+}
+
+// Subtract a merged model from the local one
+async function undoModelMerge(id) {
+  if (!confirm("Remove this merged model's counts from your model?")) {
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({ action: "undoModelMerge", id });
+    if (result.success) {
+      await loadModelMerges();
+      await loadClassifierInfo();
+      showStatus("Merge undone!", "success");
+    } else {
+      showStatus("Undo failed: " + result.error, "error");
+    }
+  } catch (error) {
+    console.error("Error undoing merge:", error);
+    showStatus("Error undoing merge: " + error.message, "error");
+  }
+}
+
+// Match types offered in the rule editor. The numeric ones differ only in
+// how the score is read from the header.
+const HEADER_MATCH_TYPES = {
+  contains: "Contains text",
+  regex: "Matches pattern",
+  number: "Numeric score",
+  stars: "Asterisk count",
+  scl: "Microsoft SCL"
+};
+
+// Default score ranges for new numeric rules
+const HEADER_SCORE_RANGES = {
+  number: { low: -5, high: 10 },
+  stars: { low: -5, high: 10 },
+  scl: { low: -1, high: 9 }
+};
+
+let headerRules = [];
+
+function headerMatchType(rule) {
+  return rule.match === "numeric" ? rule.extract : rule.match;
+}
+
+function renderHeaderRules() {
+  if (headerRules.length === 0) {
+    elements.headerRules.innerHTML = '<p class="description">No header rules.</p>';
+    return;
+  }
+
+  elements.headerRules.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>Header</th><th>Match</th><th>Pattern or score range</th><th>Probability</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${headerRules.map((rule, index) => {
+          const type = headerMatchType(rule);
+          const numeric = rule.match === "numeric";
+          return `
+            <tr data-index="${index}">
+              <td><input type="text" data-field="header" value="${escapeHtml(rule.header)}" placeholder="x-spam-score"></td>
+              <td>
+                <select data-field="type">
+                  ${Object.entries(HEADER_MATCH_TYPES).map(([value, label]) =>
+                    `<option value="${value}" ${value === type ? "selected" : ""}>${label}</option>`).join("")}
+                </select>
+              </td>
+              <td>${numeric
+                ? `<div class="range-inputs">
+                     <input type="number" data-field="low" value="${rule.low}" step="any">
+                     <span>to</span>
+                     <input type="number" data-field="high" value="${rule.high}" step="any">
+                   </div>`
+                : `<input type="text" data-field="value" value="${escapeHtml(rule.value)}">`}
+              </td>
+              <td>${numeric
+                ? '<span class="description">Graded</span>'
+                : `<input type="number" data-field="probability" value="${rule.probability}" min="0" max="1" step="0.05">`}
+              </td>
+              <td><button class="secondary" data-remove-rule="${index}">Remove</button></td>
+            </tr>
+          `;
+        }).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Keep headerRules in step with the editor's inputs
+function updateHeaderRule(e) {
+  const row = e.target.closest("tr[data-index]");
+  const field = e.target.dataset.field;
+  if (!row || !field) return;
+
+  const index = parseInt(row.dataset.index);
+  const rule = headerRules[index];
+
+  if (field === "type") {
+    // Switching match type swaps the pattern fields for a score range or back
+    const type = e.target.value;
+    headerRules[index] = HEADER_SCORE_RANGES[type]
+      ? { header: rule.header, match: "numeric", extract: type, ...HEADER_SCORE_RANGES[type] }
+      : { header: rule.header, match: type, value: rule.value || "", probability: rule.probability ?? 1.0 };
+    renderHeaderRules();
+  } else if (field === "header") {
+    rule.header = e.target.value.trim();
+  } else if (field === "value") {
+    rule.value = e.target.value;
+  } else {
+    rule[field] = parseFloat(e.target.value);
+  }
+}
+
+// Returns an error message for the first invalid rule, or null
+function validateHeaderRules(rules) {
+  for (const rule of rules) {
+    const name = rule.header;
+    if (!name) {
+      return "Every header rule needs a header name.";
+    }
+    if (rule.match === "numeric") {
+      if (isNaN(rule.low) || isNaN(rule.high) || rule.high <= rule.low) {
+        return `Header rule ${name}: the end of the score range must be above the start.`;
+      }
+      continue;
+    }
+    if (!rule.value) {
+      return `Header rule ${name}: enter the text or pattern to match.`;
+    }
+    if (rule.match === "regex") {
+      try {
+        new RegExp(rule.value, "i");
+      } catch (error) {
+        return `Header rule ${name}: invalid pattern (${error.message}).`;
+      }
+    }
+    if (isNaN(rule.probability) || rule.probability < 0 || rule.probability > 1) {
+      return `Header rule ${name}: probability must be between 0 and 1.`;
+    }
+  }
+  return null;
+}
+
+// Rule editor choices
+const RULE_FIELDS = {
+  subject: "Subject",
+  sender: "Sender address",
+  sender_domain: "Sender domain",
+  body: "Body",
+  header: "Header",
+  attachment: "Attachment name or type",
+  folder: "Folder"
+};
+
+const RULE_OPERATORS = {
+  contains: "contains",
+  not_contains: "does not contain",
+  equals: "is",
+  not_equals: "is not",
+  matches: "matches pattern",
+  not_matches: "does not match pattern"
+};
+
+const RULE_ACTIONS = {
+  score: "Set spam probability to",
+  spam: "Always treat as spam",
+  allow: "Never treat as spam",
+  skip_ml: "Skip the ML classifier"
+};
+
+let userRules = [];
+
+function selectOptions(choices, selected) {
+  return Object.entries(choices)
+    .map(([value, label]) => `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`)
+    .join("");
+}
+
+function renderUserRules() {
+  if (userRules.length === 0) {
+    elements.userRules.innerHTML = '<p class="description">No rules.</p>';
+    return;
+  }
+
+  elements.userRules.innerHTML = userRules.map((rule, index) => `
+    <div class="rule-card ${rule.enabled === false ? "disabled" : ""}" data-rule="${index}">
+      <div class="rule-row">
+        <input type="checkbox" data-field="enabled" title="Enabled" ${rule.enabled !== false ? "checked" : ""}>
+        <input type="text" data-field="name" value="${escapeHtml(rule.name)}" placeholder="Rule name">
+        <span>Priority</span>
+        <input type="number" data-field="priority" value="${rule.priority || 0}" step="1">
+        <button class="secondary" data-rule-action="remove-rule">Remove</button>
+      </div>
+      <div class="rule-row">
+        <span>When</span>
+        <select data-field="match">${selectOptions({ all: "all", any: "any" }, rule.match || "all")}</select>
+        <span>of these hold:</span>
+      </div>
+      ${rule.conditions.map((condition, conditionIndex) => `
+        <div class="rule-row" data-condition="${conditionIndex}">
+          <select data-field="field">${selectOptions(RULE_FIELDS, condition.field)}</select>
+          ${condition.field === "header"
+            ? `<input type="text" data-field="header" value="${escapeHtml(condition.header)}" placeholder="List-Id">`
+            : ""}
+          <select data-field="operator">${selectOptions(RULE_OPERATORS, condition.operator)}</select>
+          <input type="text" data-field="value" value="${escapeHtml(condition.value)}">
+          <button class="secondary" data-rule-action="remove-condition">Remove</button>
+        </div>
+      `).join("")}
+      <div class="rule-row">
+        <button class="secondary" data-rule-action="add-condition">Add Condition</button>
+      </div>
+      <div class="rule-row">
+        <span>Then</span>
+        <select data-field="actionType">${selectOptions(RULE_ACTIONS, rule.action.type)}</select>
+        ${rule.action.type === "score"
+          ? `<input type="number" data-field="probability" value="${rule.action.probability}" min="0" max="1" step="0.05">`
+          : ""}
+      </div>
+    </div>
+  `).join("");
+}
+
+function newRuleCondition() {
+  return { field: "subject", operator: "contains", value: "" };
+}
+
+// Keep userRules in step with the editor's inputs
+function updateUserRule(e) {
+  const card = e.target.closest("[data-rule]");
+  const field = e.target.dataset.field;
+  if (!card || !field) return;
+
+  const rule = userRules[parseInt(card.dataset.rule)];
+  const conditionRow = e.target.closest("[data-condition]");
+
+  if (conditionRow) {
+    const condition = rule.conditions[parseInt(conditionRow.dataset.condition)];
+    condition[field] = e.target.value;
+    // The header name input comes and goes with the Header field
+    if (field === "field") renderUserRules();
+    return;
+  }
+
+  switch (field) {
+    case "enabled":
+      rule.enabled = e.target.checked;
+      card.classList.toggle("disabled", !rule.enabled);
+      break;
+    case "priority":
+      rule.priority = parseInt(e.target.value) || 0;
+      break;
+    case "probability":
+      rule.action.probability = parseFloat(e.target.value);
+      break;
+    case "actionType":
+      rule.action = e.target.value === "score"
+        ? { type: "score", probability: rule.action.probability ?? 0.9 }
+        : { type: e.target.value };
+      renderUserRules();
+      break;
+    default:
+      rule[field] = e.target.value;
+  }
+}
+
+function handleUserRuleClick(e) {
+  const btn = e.target.closest("button[data-rule-action]");
+  if (!btn) return;
+
+  const index = parseInt(btn.closest("[data-rule]").dataset.rule);
+  const rule = userRules[index];
+
+  switch (btn.dataset.ruleAction) {
+    case "remove-rule":
+      userRules.splice(index, 1);
+      break;
+    case "add-condition":
+      rule.conditions.push(newRuleCondition());
+      break;
+    case "remove-condition":
+      rule.conditions.splice(parseInt(btn.closest("[data-condition]").dataset.condition), 1);
+      break;
+  }
+  renderUserRules();
+}
+
+function addUserRule() {
+  userRules.push({
+    id: uniqueId(),
+    name: "",
+    enabled: true,
+    priority: 0,
+    match: "all",
+    conditions: [newRuleCondition()],
+    action: { type: "score", probability: 0.9 }
+  });
+  renderUserRules();
+}
+
+// Returns an error message for the first invalid rule, or null
+function validateUserRules(rules) {
+  for (const rule of rules) {
+    const name = (rule.name || "").trim();
+    if (!name) {
+      return "Every rule needs a name.";
+    }
+    if (rule.conditions.length === 0) {
+      return `Rule ${name}: add at least one condition.`;
+    }
+    for (const condition of rule.conditions) {
+      if (condition.field === "header" && !(condition.header || "").trim()) {
+        return `Rule ${name}: enter the header name to check.`;
+      }
+      if (!condition.value) {
+        return `Rule ${name}: every condition needs a value to compare with.`;
+      }
+      if (condition.operator.endsWith("matches")) {
+        try {
+          new RegExp(condition.value, "i");
+        } catch (error) {
+          return `Rule ${name}: invalid pattern (${error.message}).`;
+        }
+      }
+    }
+    const probability = rule.action.probability;
+    if (rule.action.type === "score" && (isNaN(probability) || probability < 0 || probability > 1)) {
+      return `Rule ${name}: probability must be between 0 and 1.`;
+    }
+  }
+  return null;
+}
+
+// Signals combined into the final spam score
+const SIGNAL_LABELS = {
+  rule: "Rules",
+  blocklist: "Blocklists",
+  header: "Header rules",
+  auth: "Impersonation",
+  attachment: "Dangerous attachments",
+  ml: "ML classifier"
+};
+
+function renderSignalWeights(weights) {
+  elements.signalWeights.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr><th>Signal</th><th>Weight</th></tr>
+      </thead>
+      <tbody>
+        ${Object.entries(SIGNAL_LABELS).map(([name, label]) => `
+          <tr>
+            <td>${label}</td>
+            <td><input type="number" data-signal="${name}" value="${weights[name] ?? 1}" min="0" step="0.1"></td>
+          </tr>
+        `).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function readSignalWeights() {
+  const weights = {};
+  for (const input of elements.signalWeights.querySelectorAll("input[data-signal]")) {
+    weights[input.dataset.signal] = parseFloat(input.value);
+  }
+  return weights;
+}
+
+// Returns an error message for the first invalid weight, or null
+function validateSignalWeights(weights) {
+  for (const [name, weight] of Object.entries(weights)) {
+    if (isNaN(weight) || weight < 0) {
+      return `${SIGNAL_LABELS[name]}: weight must be 0 or more.`;
+    }
+  }
+  return null;
+}
+
+// One entry per line, lower-cased, without blanks or repeats
+function parseSenderList(text) {
+  const entries = text.split("\n").map(line => line.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(entries)];
+}
+
+async function loadAddressBookInfo() {
+  try {
+    const { contactCount } = await browser.runtime.sendMessage({ action: "getAddressBookInfo" });
+    elements.addressBookInfo.textContent =
+      `Mail from your ${contactCount} address book contacts is never flagged unless the block list names them.`;
+  } catch (error) {
+    console.error("Error loading address book info:", error);
+  }
+}
+
+function showCorrespondentInfo({ addressCount, sentCount }) {
+  elements.correspondentInfo.textContent =
+    `${addressCount} correspondents and ${sentCount} sent messages learned from your Sent folders. ` +
+    "Their mail, and replies to your messages, is still listed in the results but never moved automatically.";
+}
+
+async function loadCorrespondentInfo() {
+  try {
+    showCorrespondentInfo(await browser.runtime.sendMessage({ action: "getCorrespondentInfo" }));
+  } catch (error) {
+    console.error("Error loading correspondent info:", error);
+  }
+}
+
+// Re-read every Sent folder
+async function rebuildCorrespondents() {
+  elements.rebuildCorrespondentsBtn.disabled = true;
+  elements.rebuildCorrespondentsBtn.textContent = "Reading Sent folders...";
+
+  try {
+    const result = await browser.runtime.sendMessage({ action: "rebuildCorrespondents" });
+    showCorrespondentInfo(result);
+    showStatus("Correspondents rebuilt!", "success");
+  } catch (error) {
+    console.error("Error rebuilding correspondents:", error);
+    showStatus("Error rebuilding correspondents: " + error.message, "error");
+  } finally {
+    elements.rebuildCorrespondentsBtn.disabled = false;
+    elements.rebuildCorrespondentsBtn.textContent = "Rebuild from Sent Folders";
+  }
+}
+
+// Load the imported blocklists
+async function loadBlocklists() {
+  try {
+    const { blocklists } = await browser.runtime.sendMessage({ action: "getBlocklists" });
+    if (!blocklists || blocklists.length === 0) {
+      elements.blocklists.innerHTML = '<p class="description">No blocklists imported.</p>';
+      return;
+    }
+
+    elements.blocklists.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr><th>Enabled</th><th>List</th><th>Domains</th><th>URL patterns</th><th>Imported</th><th></th></tr>
+        </thead>
+        <tbody>
+          ${blocklists.map(list => `
+            <tr>
+              <td><input type="checkbox" data-blocklist-id="${escapeHtml(list.id)}" ${list.enabled ? "checked" : ""}></td>
+              <td>${escapeHtml(list.name)}</td>
+              <td>${list.domainCount.toLocaleString()}</td>
+              <td>${list.urlPatternCount.toLocaleString()}</td>
+              <td>${new Date(list.importedAt).toLocaleString()}</td>
+              <td><button class="secondary" data-remove-blocklist="${escapeHtml(list.id)}">Remove</button></td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  } catch (error) {
+    console.error("Error loading blocklists:", error);
+  }
+}
+
+// Import each chosen file as its own list
+async function importBlocklists() {
+  const files = Array.from(elements.importBlocklistFile.files);
+  elements.importBlocklistFile.value = "";
+
+  for (const file of files) {
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: "importBlocklist",
+        name: file.name,
+        text: await file.text()
+      });
+
+      if (result.success) {
+        showStatus(`Imported ${file.name}: ${result.domainCount} domains, ${result.urlPatternCount} URL patterns`, "success");
+      } else {
+        showStatus(`Import of ${file.name} failed: ${result.error}`, "error");
+      }
+    } catch (error) {
+      console.error("Error importing blocklist:", error);
+      showStatus("Error importing blocklist: " + error.message, "error");
+    }
+  }
+
+  await loadBlocklists();
+}
+
+async function removeBlocklist(id) {
+  if (!confirm("Remove this blocklist?")) {
+    return;
+  }
+
+  try {
+    await browser.runtime.sendMessage({ action: "removeBlocklist", id });
+    await loadBlocklists();
+    showStatus("Blocklist removed!", "success");
+  } catch (error) {
+    console.error("Error removing blocklist:", error);
+    showStatus("Error removing blocklist: " + error.message, "error");
+  }
+}
+
+// Escape HTML
+function escapeHtml(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
 // Poll training progress
 async function pollTrainingProgress() {
   try {
@@ -297,6 +1435,66 @@ elements.restoreBtn.addEventListener("click", restoreDefaults);
 elements.resetStats.addEventListener("click", resetStatistics);
 elements.retrainBtn.addEventListener("click", retrainClassifier);
 elements.trainFromFoldersBtn.addEventListener("click", trainFromFolders);
+elements.evaluateBtn.addEventListener("click", evaluateModel);
+elements.exportModelBtn.addEventListener("click", exportModel);
+elements.importModelBtn.addEventListener("click", () => elements.importModelFile.click());
+elements.importModelFile.addEventListener("change", importModel);
+elements.modelMerges.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-merge-id]");
+  if (btn) {
+    undoModelMerge(btn.dataset.mergeId);
+  }
+});
+
+elements.actionJournal.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-journal-id]");
+  if (btn) {
+    undoJournalEntry(btn.dataset.journalId, btn);
+  }
+});
+elements.clearJournalBtn.addEventListener("click", clearJournal);
+elements.scanSchedules.addEventListener("input", updateScanSchedule);
+elements.scanSchedules.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-remove-schedule]");
+  if (btn) {
+    scanSchedules.splice(parseInt(btn.dataset.removeSchedule), 1);
+    renderScanSchedules();
+  }
+});
+elements.addScanScheduleBtn.addEventListener("click", addScanSchedule);
+elements.previewRetentionBtn.addEventListener("click", previewRetention);
+elements.applyRetentionBtn.addEventListener("click", applyRetention);
+
+elements.rebuildCorrespondentsBtn.addEventListener("click", rebuildCorrespondents);
+elements.importBlocklistBtn.addEventListener("click", () => elements.importBlocklistFile.click());
+elements.importBlocklistFile.addEventListener("change", importBlocklists);
+elements.blocklists.addEventListener("change", (e) => {
+  const id = e.target.dataset.blocklistId;
+  if (id) {
+    browser.runtime.sendMessage({ action: "setBlocklistEnabled", id, enabled: e.target.checked });
+  }
+});
+elements.blocklists.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-remove-blocklist]");
+  if (btn) {
+    removeBlocklist(btn.dataset.removeBlocklist);
+  }
+});
+elements.headerRules.addEventListener("input", updateHeaderRule);
+elements.headerRules.addEventListener("click", (e) => {
+  const btn = e.target.closest("button[data-remove-rule]");
+  if (btn) {
+    headerRules.splice(parseInt(btn.dataset.removeRule), 1);
+    renderHeaderRules();
+  }
+});
+elements.addHeaderRuleBtn.addEventListener("click", () => {
+  headerRules.push({ header: "", match: "contains", value: "", probability: 1.0 });
+  renderHeaderRules();
+});
+elements.userRules.addEventListener("input", updateUserRule);
+elements.userRules.addEventListener("click", handleUserRuleClick);
+elements.addUserRuleBtn.addEventListener("click", addUserRule);
 
 // Initialize
 document.addEventListener("DOMContentLoaded", loadSettings);
@@ -1,5 +1,11 @@
 // Popup script
 
+// Display names for classifier backends
+const BACKEND_NAMES = {
+  naive_bayes: "TF-IDF + Naive Bayes",
+  logistic_regression: "Logistic Regression"
+};
+
 const elements = {
   statusIndicator: document.getElementById("statusIndicator"),
   enableToggle: document.getElementById("enableToggle"),
@@ -8,6 +14,7 @@ const elements = {
   lastScan: document.getElementById("lastScan"),
   scanAllBtn: document.getElementById("scanAllBtn"),
   settingsBtn: document.getElementById("settingsBtn"),
+  mlBackend: document.getElementById("mlBackend"),
   resultMessage: document.getElementById("resultMessage"),
   // Progress elements
   progressContainer: document.getElementById("progressContainer"),
@@ -67,6 +74,8 @@ async function loadStatus() {
       elements.lastScan.textContent = "Never";
     }
 
+    elements.mlBackend.textContent = BACKEND_NAMES[settings.classifierBackend] || BACKEND_NAMES.naive_bayes;
+
     // Set scan range from settings
     if (settings.scanDaysRange && elements.scanRange) {
       elements.scanRange.value = settings.scanDaysRange.toString();
@@ -211,6 +220,12 @@ async function scanAll() {
       daysRange: daysRange === 0 ? null : daysRange,
       accountId: accountId === "all" ? null : accountId
     });
+    if (response.error) {
+      stopProgressPolling();
+      hideProgress();
+      showResult(response.error, "error");
+      return;
+    }
     const { result } = response;
 
     // Stop polling and show final result
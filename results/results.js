@@ -42,8 +42,8 @@ async function loadResults() {
 function updateSummary(results) {
   elements.totalScanned.textContent = results.totalScanned || 0;
   elements.spamDetected.textContent = results.predictions?.length || 0;
-  elements.byHeader.textContent = results.predictions?.filter(p => p.method === "header").length || 0;
-  elements.byML.textContent = results.predictions?.filter(p => p.method === "ml").length || 0;
+  elements.byHeader.textContent = results.predictions?.filter(p => methodSignals(p).includes("header")).length || 0;
+  elements.byML.textContent = results.predictions?.filter(p => methodSignals(p).includes("ml")).length || 0;
 
   if (results.scanTime) {
     const date = new Date(results.scanTime);
@@ -58,8 +58,9 @@ function applyFilters() {
   const searchTerm = elements.searchInput.value.toLowerCase();
 
   filteredResults = allResults.filter(item => {
-    // Method filter
-    if (methodFilter !== "all" && item.method !== methodFilter) {
+    // Method filter, counted the same way as the summary
+    if (methodFilter === "combined" ? methodSignals(item).length < 2
+        : methodFilter !== "all" && !methodSignals(item).includes(methodFilter)) {
       return false;
     }
 
@@ -164,15 +165,39 @@ function renderResults() {
                       item.probability >= 0.5 ? "medium" : "low";
     const probPercent = Math.round(item.probability * 100);
 
-    const methodBadge = item.method === "header"
-      ? '<span class="method-header">HEADER</span>'
-      : '<span class="method-ml">ML</span>';
+    const methods = methodSignals(item);
+    const methodLabel = methods.map(method => METHOD_LABELS[method] || METHOD_LABELS.ml).join("+");
+    const methodReason = [
+      item.signals ? formatSignals(item.signals) : item.reason,
+      item.rule && !methods.includes("rule") ? `Rule: ${item.rule}` : ""
+    ].filter(Boolean).join("\n");
+    const methodTitle = methodReason ? ` title="${escapeHtml(methodReason)}"` : "";
+    const methodBadge = `<span class="method-${escapeHtml(methods[0])}"${methodTitle}>${methodLabel}</span>`;
+
+    const authHtml = item.auth
+      ? Object.entries(item.auth)
+          .map(([method, verdict]) => `<span class="auth-${escapeHtml(verdict)}">${method.toUpperCase()} ${escapeHtml(verdict)}</span>`)
+          .join("")
+      : "";
+
+    const receivedHtml = item.received ? formatReceived(item.received) : "";
 
     const keywordsHtml = (item.topKeywords || [])
       .slice(0, 5)
-      .map(k => `<span class="keyword">${escapeHtml(k.word)}</span>`)
+      .map(k => {
+        // Results saved before contributions were signed have no family
+        if (!k.family) return `<span class="keyword">${escapeHtml(k.word)}</span>`;
+        const sign = k.score >= 0 ? "keyword-spam" : "keyword-ham";
+        const title = `${k.family}: ${formatContribution(k.score)}`;
+        return `<span class="keyword ${sign}" title="${escapeHtml(title)}">${escapeHtml(k.word)}</span>`;
+      })
       .join("");
 
+    const contributionsHtml = Object.entries(item.contributions || {})
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .map(([family, score]) => `${escapeHtml(family)} ${formatContribution(score)}`)
+      .join(" · ");
+
     const statusBadge = item.status === "moved"
       ? '<span class="status-badge status-moved">Moved</span>'
       : item.status === "safe"
@@ -188,7 +213,8 @@ function renderResults() {
         </td>
         <td>
           <div class="subject">${escapeHtml(item.subject || "(No subject)")}${statusBadge}</div>
-          <div class="detection-method">${methodBadge}</div>
+          <div class="detection-method">${methodBadge}${authHtml}${item.exemption ? `<span class="exemption" title="Not moved automatically">${escapeHtml(item.exemption)}</span>` : ""}</div>
+          ${receivedHtml}
         </td>
         <td class="sender">${escapeHtml(item.sender || "Unknown")}</td>
         <td class="date">${formatDateFull(item.date)}</td>
@@ -197,8 +223,9 @@ function renderResults() {
         </td>
         <td>
           <div class="keywords">${keywordsHtml || "-"}</div>
+          ${contributionsHtml ? `<div class="contributions">${contributionsHtml}</div>` : ""}
         </td>
-        <td class="actions">${!item.status ? `<button class="btn btn-move" data-action="move" data-index="${index}">Move</button><button class="btn btn-safe" data-action="safe" data-index="${index}">Safe</button>` : ""}<button class="btn btn-view" data-action="view" data-index="${index}">View</button></td>
+        <td class="actions">${!item.status ? `<button class="btn btn-move" data-action="move" data-index="${index}">Move</button><button class="btn btn-safe" data-action="safe" data-index="${index}">Safe</button>` : ""}<button class="btn btn-view" data-action="view" data-index="${index}">View</button><button class="btn btn-sender" data-action="allow" data-index="${index}" title="Always allow this sender">Allow</button><button class="btn btn-sender" data-action="block" data-index="${index}" title="Always block this sender">Block</button></td>
       </tr>
     `;
   }).join("");
@@ -232,6 +259,53 @@ function formatDateFull(dateStr) {
   });
 }
 
+// Badge text for each detection method
+const METHOD_LABELS = {
+  header: "HEADER",
+  auth: "AUTH",
+  attachment: "ATTACHMENT",
+  sender_block: "BLOCKED",
+  blocklist: "BLOCKLIST",
+  rule: "RULE",
+  ml: "ML"
+};
+
+// Signals behind a detection, strongest first, e.g. "header+ml"
+function methodSignals(item) {
+  return (item.method || "ml").split("+");
+}
+
+// One line per signal: probability, weight and what it added to the score
+function formatSignals(signals) {
+  return signals.map(signal => {
+    const effect = signal.logOdds === null ? "decisive" : formatContribution(signal.logOdds);
+    const reason = signal.reason ? `: ${signal.reason}` : "";
+    return `${METHOD_LABELS[signal.name] || signal.name} ${Math.round(signal.probability * 100)}% ×${signal.weight} (${effect})${reason}`;
+  }).join("\n");
+}
+
+// Hop count plus any routing anomalies found in the Received chain
+function formatReceived(received) {
+  const warnings = [];
+  if (received.dateSkewHours >= 1) {
+    warnings.push(received.dateSkewHours >= 24
+      ? `Date ${Math.round(received.dateSkewHours / 24)}d off`
+      : `Date ${Math.round(received.dateSkewHours)}h off`);
+  }
+  if (received.privateRelays > 0) warnings.push(`${received.privateRelays} private relay(s)`);
+  if (received.heloMismatches > 0) warnings.push(`${received.heloMismatches} HELO mismatch(es)`);
+  if (received.outOfOrder) warnings.push("timestamps out of order");
+
+  const hops = `${received.hops} hop${received.hops === 1 ? "" : "s"}`;
+  const warningHtml = warnings.map(w => `<span class="received-warning">${w}</span>`).join(" · ");
+  return `<div class="received">${hops}${warningHtml ? ` · ${warningHtml}` : ""}</div>`;
+}
+
+// Signed log-odds contribution, e.g. "+1.24" toward spam or "-0.31" toward ham
+function formatContribution(score) {
+  return (score >= 0 ? "+" : "") + Number(score).toFixed(2);
+}
+
 // Escape HTML
 function escapeHtml(str) {
   if (!str) return "";
@@ -321,15 +395,23 @@ async function markSafe(index) {
   renderResults();
   showToast("Message marked as safe", "success");
 
-  // Optionally add to training data as ham
+  await sendSafeFeedback(item);
+}
+
+// Train on a message marked safe. The background reads the full message,
+// and moved messages are learned from as spam when they are moved.
+async function sendSafeFeedback(item) {
   try {
-    await browser.runtime.sendMessage({
-      action: "addTrainingData",
-      text: item.subject + " " + (item.bodyPreview || ""),
+    const result = await browser.runtime.sendMessage({
+      action: "recordFeedback",
+      messageId: item.messageId,
       label: "ham"
     });
+    if (!result.success) {
+      console.error("Error recording feedback:", result.error);
+    }
   } catch (error) {
-    console.error("Error adding training data:", error);
+    console.error("Error recording feedback:", error);
   }
 }
 
@@ -368,6 +450,44 @@ async function viewMessage(index) {
   }
 }
 
+// Always allow or block the sender of a result, then mark the message
+// safe or move it to match
+async function addSenderRule(index, list) {
+  const item = filteredResults[index];
+  if (!item) return;
+
+  const match = (item.sender || "").match(/<([^>]+)>/);
+  const address = (match ? match[1] : item.sender || "").trim().toLowerCase();
+  if (!address.includes("@")) {
+    showToast("No sender address for this message", "error");
+    return;
+  }
+
+  try {
+    const result = await browser.runtime.sendMessage({
+      action: "addSenderRule",
+      list: list,
+      pattern: address
+    });
+
+    if (!result.success) {
+      showToast("Could not update sender lists: " + result.error, "error");
+      return;
+    }
+
+    if (list === "allow") {
+      showToast(`${address} will always be allowed`, "success");
+      await markSafe(index);
+    } else {
+      showToast(`${address} will always be blocked`, "success");
+      await moveToSpam(index);
+    }
+  } catch (error) {
+    console.error("Error updating sender lists:", error);
+    showToast("Error updating sender lists: " + error.message, "error");
+  }
+}
+
 // Update result in storage
 async function updateResultInStorage(updatedItem) {
   try {
@@ -466,16 +586,7 @@ async function markSelectedSafe() {
     updateResultInStorage(item);
     successCount++;
 
-    // Add to training data
-    try {
-      await browser.runtime.sendMessage({
-        action: "addTrainingData",
-        text: item.subject + " " + (item.bodyPreview || ""),
-        label: "ham"
-      });
-    } catch (error) {
-      console.error("Error adding training data:", error);
-    }
+    await sendSafeFeedback(item);
   }
 
   elements.markSafeBtn.disabled = false;
@@ -502,7 +613,7 @@ elements.resultsBody.addEventListener("change", (e) => {
   }
 });
 
-// Event delegation for action buttons (Move, Safe, View)
+// Event delegation for action buttons (Move, Safe, View, Allow, Block)
 elements.resultsBody.addEventListener("click", (e) => {
   const btn = e.target.closest("button[data-action]");
   if (!btn) return;
@@ -516,6 +627,8 @@ elements.resultsBody.addEventListener("click", (e) => {
     markSafe(index);
   } else if (action === "view") {
     viewMessage(index);
+  } else if (action === "allow" || action === "block") {
+    addSenderRule(index, action);
   }
 });
 